@@ -0,0 +1,62 @@
+// Bearer token auth providers for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const { findHeaderKey } = require('./headers.js');
+
+module.exports = class Auth {
+
+	setAuthProvider(provider) {
+		// inject bearer tokens from provider into all requests (e.g. OAuth2 instance), or false to disable
+		// provider must have getToken(callback), and may have invalidateToken(token)
+		this.authProvider = provider || false;
+
+		// token requests are sent through us by default
+		if (provider && ('request' in provider) && !provider.request) provider.request = this;
+	}
+
+	authRequest(sendFunc, url, options, callback) {
+		// add bearer token to request, and refresh it once if the server rejects it
+		var self = this;
+		var provider = ('authProvider' in options) ? options.authProvider : this.authProvider;
+		var headers = { ...this.defaultHeaders, ...(options.headers || {}) };
+
+		// caller supplied their own credentials
+		if (findHeaderKey(headers, 'Authorization')) return sendFunc.call( this, url, options, callback );
+
+		// streamed bodies and download streams cannot be sent twice
+		var resendable = !(options.data && options.data.pipe) && !(options.download && (typeof(options.download) != 'string'));
+
+		var send = function(token, old_perf) {
+			// the token is added on each hop, and only sent to the origin of the first hop (see sendRequest)
+			var opts = { ...options, bearer: { token: token } };
+
+			sendFunc.call( self, url, opts, function(err, res, data, perf) {
+				if (old_perf && perf) {
+					// include the rejected attempt in the metrics, and time from when it started
+					perf.import( old_perf );
+					perf.perf[perf.totalKey].start = old_perf.perf[old_perf.totalKey].start;
+					perf.end();
+				}
+
+				// check status even if there is an error, as autoError turns the 401 into one
+				if (!res || (res.statusCode != 401) || old_perf || !resendable || !perf) return callback( err, res, data, perf );
+
+				// token may have been revoked, so get a new one and send the request again (through the queue)
+				if (provider.invalidateToken) provider.invalidateToken( token );
+
+				provider.getToken( function(token_err, new_token) {
+					if (token_err) return callback( token_err, res, data, perf );
+					perf.count('auth_refreshes', 1);
+					send( new_token, perf );
+				} );
+			} );
+		};
+
+		provider.getToken( function(err, token) {
+			if (err) return callback( err );
+			send( token, null );
+		} );
+	}
+
+};
@@ -0,0 +1,143 @@
+// HTTP response cache storage for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const fs = require('fs');
+const Path = require('path');
+const crypto = require('crypto');
+const Class = require('class-plus');
+
+module.exports = Class({
+
+	__asyncify: {
+		get: ['entry'],
+		set: [],
+		delete: [],
+		clear: []
+	},
+
+	// store entries as JSON files in this directory (omit for memory)
+	dir: '',
+
+	// max entries to keep in memory (LRU)
+	maxItems: 1000
+
+},
+class CacheStore {
+
+	constructor(opts) {
+		// class constructor, opts: { dir, maxItems }
+		if (opts) {
+			for (var key in opts) this[key] = opts[key];
+		}
+		this.items = new Map();
+	}
+
+	getPath(key) {
+		// get file path for cache key (dir mode)
+		return Path.join( this.dir, crypto.createHash('sha256').update(key).digest('hex') + '.json' );
+	}
+
+	get(key, callback) {
+		// fetch entry from cache, or null if not found
+		if (!this.dir) {
+			var entry = this.items.get(key) || null;
+			if (entry) {
+				// promote to most recently used
+				this.items.delete(key);
+				this.items.set(key, entry);
+				entry = copyEntry(entry);
+			}
+			return process.nextTick( function() { callback(null, entry); } );
+		}
+
+		fs.readFile( this.getPath(key), 'utf8', function(err, text) {
+			if (err) return callback( (err.code == 'ENOENT') ? null : err, null );
+
+			var entry = null;
+			try { entry = JSON.parse(text); }
+			catch (err) {
+				return callback(null, null);
+			}
+
+			entry.variants.forEach( function(variant) {
+				variant.body = Buffer.from(variant.body, 'base64');
+			} );
+			callback(null, entry);
+		} );
+	}
+
+	set(key, entry, callback) {
+		// store entry in cache (overwrites)
+		if (!this.dir) {
+			this.items.delete(key);
+			this.items.set(key, copyEntry(entry));
+			while (this.maxItems && (this.items.size > this.maxItems)) {
+				this.items.delete( this.items.keys().next().value );
+			}
+			return process.nextTick(callback);
+		}
+
+		var file = this.getPath(key);
+		var temp_file = file + '.' + process.pid + '.tmp';
+		var json = JSON.stringify({
+			...entry,
+			variants: entry.variants.map( function(variant) {
+				// serialize body as base64
+				return { ...variant, body: variant.body.toString('base64') };
+			} )
+		});
+
+		fs.mkdir( this.dir, { recursive: true }, function(err) {
+			if (err) return callback(err);
+			fs.writeFile( temp_file, json, function(err) {
+				if (err) return callback(err);
+				fs.rename( temp_file, file, callback );
+			} );
+		} );
+	}
+
+	delete(key, callback) {
+		// remove entry from cache
+		if (!this.dir) {
+			this.items.delete(key);
+			return process.nextTick(callback);
+		}
+
+		fs.unlink( this.getPath(key), function(err) {
+			callback( (err && (err.code != 'ENOENT')) ? err : null );
+		} );
+	}
+
+	clear(callback) {
+		// remove all entries from cache
+		var self = this;
+		this.items.clear();
+		if (!this.dir) return process.nextTick(callback);
+
+		fs.readdir( this.dir, function(err, files) {
+			if (err) return callback( (err.code == 'ENOENT') ? null : err );
+
+			files = files.filter( function(file) { return file.match(/\.json$/); } );
+			var idx = 0;
+			var iterator = function(err) {
+				if (err && (err.code != 'ENOENT')) return callback(err);
+				var file = files[idx++];
+				if (!file) return callback();
+				fs.unlink( Path.join(self.dir, file), iterator );
+			};
+			iterator();
+		} );
+	}
+
+});
+
+function copyEntry(entry) {
+	// copy entry with its own headers and body buffers, so callers cannot change what is stored in memory
+	return {
+		...entry,
+		variants: entry.variants.map( function(variant) {
+			return { ...variant, vary: { ...variant.vary }, headers: { ...variant.headers }, body: Buffer.from(variant.body) };
+		} )
+	};
+};
@@ -0,0 +1,283 @@
+// HTTP response cache for pixl-request (RFC 9111)
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const Perf = require('pixl-perf');
+const CacheStore = require('./cache-store.js');
+
+// status codes which are cacheable by default (heuristic freshness allowed)
+const cacheableCodes = /^(200|203|204|300|301|308|404|405|410|414|501)$/;
+
+// headers which a 304 response must not overwrite
+const protectedHeaders = /^(content-length|content-encoding|transfer-encoding)$/;
+
+module.exports = class Cache {
+
+	setCache(opts) {
+		// enable response cache (true, CacheStore options, or custom store), or false to disable
+		if (!opts) { this.cache = false; return; }
+		if (opts === true) opts = {};
+		this.cache = (typeof(opts.get) == 'function') ? opts : new CacheStore(opts);
+		this.cacheRevalidating = {};
+	}
+
+	cacheRequest(url, options, callback) {
+		// serve GET requests from cache if fresh, otherwise revalidate or fetch and store
+		var self = this;
+		var method = (options.method || 'GET').toUpperCase();
+		var key = 'GET ' + url;
+
+		var use_cache = ('cache' in options) ? options.cache : this.defaultOptions.cache;
+		options = { ...options };
+		delete options.cache;
+
+		if (use_cache === false) return this.requestHop( url, options, callback );
+
+		if (!method.match(/^(GET|HEAD)$/)) {
+			// unsafe methods invalidate the cached response for the url
+			return this.requestHop( url, options, function(err, res, data, perf) {
+				if (!err && res && (res.statusCode < 400)) self.cache.delete( key, function() {} );
+				callback( err, res, data, perf );
+			} );
+		}
+
+		var req_headers = lowerHeaders({ ...this.defaultHeaders, ...(options.headers || {}) });
+		var req_cc = parseCacheControl( req_headers['cache-control'] );
+
+		if ((method != 'GET') || options.download || options.preflight || options.pre_download || req_cc['no-store'] ||
+			req_headers['range'] || req_headers['if-none-match'] || req_headers['if-modified-since']) {
+			// request is not cacheable
+			return this.requestHop( url, options, callback );
+		}
+
+		this.cache.get( key, function(err, entry) {
+			// storage errors are treated as a miss
+			var variant = (!err && entry) ? findVariant(entry, req_headers) : null;
+			if (!variant) return self.cacheFetch( key, url, options, req_headers, entry, null, callback );
+
+			var age = currentAge( variant, Date.now() );
+			var lifetime = freshnessLifetime( variant );
+			var res_cc = parseCacheControl( variant.headers['cache-control'] );
+			var revalidate = !!(res_cc['no-cache'] || req_cc['no-cache'] || (('max-age' in req_cc) && (age > req_cc['max-age'] * 1000)));
+
+			if (!revalidate && (age < lifetime)) {
+				// fresh hit
+				return self.cacheReply( url, variant, age, cachePerf('cache_hit'), callback );
+			}
+
+			if (!revalidate && !res_cc['must-revalidate'] && (age - lifetime < (res_cc['stale-while-revalidate'] || 0) * 1000)) {
+				// serve stale response, and revalidate in the background
+				if (!self.cacheRevalidating[key]) {
+					self.cacheRevalidating[key] = true;
+					self.cacheFetch( key, url, options, req_headers, entry, variant, function() {
+						delete self.cacheRevalidating[key];
+					} );
+				}
+				return self.cacheReply( url, variant, age, cachePerf('cache_stale'), callback );
+			}
+
+			self.cacheFetch( key, url, options, req_headers, entry, variant, callback );
+		} );
+	}
+
+	cacheFetch(key, url, options, req_headers, entry, variant, callback) {
+		// send request (conditional if we have a stale variant), and store the response
+		var self = this;
+		options = { ...options, headers: { ...(options.headers || {}) } };
+
+		if (variant) {
+			if (variant.headers['etag']) options.headers['If-None-Match'] = variant.headers['etag'];
+			if (variant.headers['last-modified']) options.headers['If-Modified-Since'] = variant.headers['last-modified'];
+		}
+
+		var request_time = Date.now();
+
+		this.requestHop( url, options, function(err, res, data, perf) {
+			var response_time = Date.now();
+
+			if (variant && res && (res.statusCode == 304)) {
+				// not modified, freshen stored headers and return cached body
+				for (var name in res.headers) {
+					if (!name.match(protectedHeaders)) variant.headers[name] = res.headers[name];
+				}
+				variant.requestTime = request_time;
+				variant.responseTime = response_time;
+				perf.count('cache_revalidated', 1);
+
+				// storage errors are non-fatal
+				return self.cache.set( key, entry, function() {
+					self.cacheReply( url, variant, currentAge(variant, response_time), perf, callback );
+				} );
+			}
+
+			if (variant && (err || (res.statusCode >= 500))) {
+				// possibly serve stale response on error
+				var res_cc = parseCacheControl( variant.headers['cache-control'] );
+				var age = currentAge( variant, response_time );
+				if (!res_cc['must-revalidate'] && (age - freshnessLifetime(variant) < (res_cc['stale-if-error'] || 0) * 1000)) {
+					if (perf) perf.count('cache_stale', 1);
+					return self.cacheReply( url, variant, age, perf, callback );
+				}
+			}
+
+			if (perf) perf.count('cache_miss', 1);
+
+			if (!err && Buffer.isBuffer(data) && isStorable(res, req_headers)) {
+				var new_variant = {
+					vary: {},
+					status: res.statusCode,
+					statusMessage: res.statusMessage,
+					headers: { ...res.headers },
+					body: data,
+					requestTime: request_time,
+					responseTime: response_time
+				};
+
+				if (self.autoDecompress && new_variant.headers['content-encoding']) {
+					// body was already decompressed, so adjust headers to match
+					delete new_variant.headers['content-encoding'];
+					new_variant.headers['content-length'] = '' + data.length;
+				}
+
+				(res.headers['vary'] || '').split(/\s*,\s*/).forEach( function(name) {
+					if (name) new_variant.vary[ name.toLowerCase() ] = req_headers[ name.toLowerCase() ] || '';
+				} );
+
+				if (!entry) entry = { key: key, variants: [] };
+				entry.variants = entry.variants.filter( function(old_variant) {
+					return !matchVary(old_variant.vary, new_variant.vary);
+				} );
+				entry.variants.push( new_variant );
+
+				// storage errors are non-fatal
+				return self.cache.set( key, entry, function() {
+					callback( err, res, data, perf );
+				} );
+			}
+
+			callback( err, res, data, perf );
+		} );
+	}
+
+	cacheReply(url, variant, age, perf, callback) {
+		// send cached variant to callback, with the same status check as network responses
+		var res = cachedResponse( variant, age );
+		var err = null;
+		if (this.autoError && !res.statusCode.toString().match(this.successMatch)) {
+			err = new Error( "HTTP " + res.statusCode + " " + res.statusMessage + ": " + url );
+			err.code = res.statusCode;
+			err.headers = res.headers;
+			err.url = url;
+		}
+		callback( err, res, variant.body, perf );
+	}
+
+};
+
+function lowerHeaders(headers) {
+	// convert header names to lower-case
+	var out = {};
+	for (var key in headers) out[ key.toLowerCase() ] = headers[key];
+	return out;
+};
+
+function parseCacheControl(value) {
+	// parse Cache-Control header into object of directives
+	var out = {};
+	if (!value) return out;
+
+	value.toString().split(/\s*,\s*/).forEach( function(pair) {
+		var idx = pair.indexOf('=');
+		if (idx == -1) { if (pair) out[ pair.toLowerCase() ] = true; return; }
+		var name = pair.substring(0, idx).trim().toLowerCase();
+		var arg = pair.substring(idx + 1).trim().replace(/^\"|\"$/g, '');
+		out[name] = arg.match(/^\d+$/) ? parseInt(arg, 10) : arg;
+	} );
+
+	return out;
+};
+
+function matchVary(a, b) {
+	// check if two vary header maps are identical
+	var keys = Object.keys(a);
+	if (keys.length != Object.keys(b).length) return false;
+	return keys.every( function(key) { return a[key] === b[key]; } );
+};
+
+function findVariant(entry, req_headers) {
+	// find stored variant matching the request headers named in vary
+	for (var idx = 0, len = entry.variants.length; idx < len; idx++) {
+		var variant = entry.variants[idx];
+		var match = true;
+		for (var name in variant.vary) {
+			if ((req_headers[name] || '') !== variant.vary[name]) { match = false; break; }
+		}
+		if (match) return variant;
+	}
+	return null;
+};
+
+function isStorable(res, req_headers) {
+	// check if response can be stored (private cache)
+	var res_cc = parseCacheControl( res.headers['cache-control'] );
+	var req_cc = parseCacheControl( req_headers['cache-control'] );
+
+	if (res_cc['no-store'] || req_cc['no-store']) return false;
+	if ((res.headers['vary'] || '').match(/\*/)) return false;
+	if (!cacheableCodes.test(res.statusCode) && !('max-age' in res_cc) && !res.headers['expires']) return false;
+
+	// only store if response can be fresh, or can be revalidated
+	return !!(('max-age' in res_cc) || res.headers['expires'] || res.headers['etag'] || res.headers['last-modified']);
+};
+
+function freshnessLifetime(variant) {
+	// compute freshness lifetime in ms (RFC 9111 section 4.2.1)
+	var headers = variant.headers;
+	var cc = parseCacheControl( headers['cache-control'] );
+	var date = Date.parse(headers['date'] || '') || variant.responseTime;
+
+	if (typeof(cc['max-age']) == 'number') return cc['max-age'] * 1000;
+
+	if (headers['expires']) {
+		var expires = Date.parse(headers['expires']);
+		return isNaN(expires) ? 0 : Math.max(0, expires - date);
+	}
+
+	if (headers['last-modified'] && cacheableCodes.test(variant.status)) {
+		// heuristic freshness: 10% of time since last modification
+		var modified = Date.parse(headers['last-modified']);
+		if (!isNaN(modified)) return Math.max(0, (date - modified) / 10);
+	}
+
+	return 0;
+};
+
+function currentAge(variant, now) {
+	// compute current age of stored response in ms (RFC 9111 section 4.2.3)
+	var date = Date.parse(variant.headers['date'] || '') || variant.responseTime;
+	var age_value = (parseInt(variant.headers['age'], 10) || 0) * 1000;
+	var apparent_age = Math.max(0, variant.responseTime - date);
+	var corrected_age = age_value + (variant.responseTime - variant.requestTime);
+
+	return Math.max(apparent_age, corrected_age) + (now - variant.responseTime);
+};
+
+function cachedResponse(variant, age) {
+	// construct response object for cached variant
+	return {
+		statusCode: variant.status,
+		statusMessage: variant.statusMessage,
+		httpVersion: '1.1',
+		headers: { ...variant.headers, age: '' + Math.floor(age / 1000) },
+		fromCache: true
+	};
+};
+
+function cachePerf(counter) {
+	// perf object for responses served without a request
+	var perf = new Perf();
+	perf.begin();
+	perf.count(counter, 1);
+	perf.end();
+	return perf;
+};
@@ -0,0 +1,97 @@
+// Per-origin circuit breaker for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+module.exports = class CircuitBreaker {
+
+	setCircuitBreaker(opts) {
+		// enable per-origin circuit breaker (true or options), or false to disable
+		// opts: { threshold, resetTimeout, probes }
+		if (!opts) { this.circuitBreaker = false; return; }
+		if (opts === true) opts = {};
+		this.circuitBreaker = { threshold: 5, resetTimeout: 30000, probes: 1, ...opts };
+		this.circuits = {};
+	}
+
+	resetCircuitBreaker(origin) {
+		// close all circuits, or the circuit for one origin (e.g. https://api.myserver.com)
+		if (!origin) { this.circuits = {}; return; }
+		delete this.circuits[ getOrigin(origin) ];
+	}
+
+	getCircuitState(url) {
+		// get circuit state for url or origin: closed, open or half-open
+		var circuit = (this.circuits || {})[ getOrigin(url) ];
+		if (!circuit) return 'closed';
+		if ((circuit.state == 'open') && (Date.now() - circuit.opened >= this.circuitBreaker.resetTimeout)) return 'half-open';
+		return circuit.state;
+	}
+
+	checkCircuit(origin) {
+		// check if request to origin is allowed, returns error if circuit is open
+		if (!this.circuits) this.circuits = {};
+		var circuit = this.circuits[origin];
+		if (!circuit || (circuit.state == 'closed')) return null;
+
+		var opts = this.circuitBreaker;
+		var now = Date.now();
+
+		if ((circuit.state == 'open') && (now - circuit.opened >= opts.resetTimeout)) {
+			// reset timeout elapsed, allow probe requests through
+			this.setCircuitState( origin, circuit, 'half-open' );
+			circuit.probes = 0;
+			circuit.probed = now;
+		}
+
+		if (circuit.state == 'half-open') {
+			// probes which never completed (e.g. aborted) are forgotten after the reset timeout
+			if (now - circuit.probed >= opts.resetTimeout) circuit.probes = 0;
+			if (circuit.probes < opts.probes) {
+				circuit.probes++;
+				circuit.probed = now;
+				return null;
+			}
+		}
+
+		var err = new Error("Circuit Open: Too many failures for host: " + origin);
+		err.code = 'ECIRCUITOPEN';
+		err.url = origin;
+		return err;
+	}
+
+	recordCircuit(origin, success) {
+		// record success or failure for origin, and open or close circuit as needed
+		if (!this.circuits) this.circuits = {};
+		var circuit = this.circuits[origin];
+
+		if (success) {
+			if (circuit) {
+				if (circuit.state != 'closed') this.setCircuitState( origin, circuit, 'closed' );
+				delete this.circuits[origin];
+			}
+			return;
+		}
+
+		if (!circuit) circuit = this.circuits[origin] = { state: 'closed', failures: 0, opened: 0, probes: 0, probed: 0 };
+		circuit.failures++;
+
+		if ((circuit.state == 'half-open') || ((circuit.state == 'closed') && (circuit.failures >= this.circuitBreaker.threshold))) {
+			// failed probe re-opens circuit, and restarts reset timer
+			circuit.opened = Date.now();
+			this.setCircuitState( origin, circuit, 'open' );
+		}
+	}
+
+	setCircuitState(origin, circuit, state) {
+		// change circuit state and notify listeners
+		circuit.state = state;
+		this.emitEvent('circuit', { origin: origin, state: state, failures: circuit.failures });
+	}
+
+};
+
+function getOrigin(url) {
+	// get origin (protocol, host and port) from url
+	var parts = require('url').parse(url);
+	return parts.protocol + '//' + parts.host;
+};
@@ -0,0 +1,78 @@
+// Coalescing of identical concurrent GET requests for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+// options besides the url and headers which change the request on the wire (credentials, cookies, signing, TLS, routing)
+const wireOptions = [
+	'auth', 'digestAuth', 'authProvider', 'signer', 'cookieJar', 'agent', 'lookup', 'localAddress', 'family',
+	'rejectUnauthorized', 'ca', 'cert', 'key', 'pfx', 'passphrase', 'servername', 'ciphers', 'minVersion', 'maxVersion', 'secureProtocol', 'checkServerIdentity'
+];
+
+module.exports = class Coalesce {
+
+	setCoalesce(enabled) {
+		// enable or disable coalescing of identical concurrent GET requests
+		this.coalesce = enabled;
+	}
+
+	getCoalesceKey(url, options) {
+		// get key identifying identical requests, or null if request cannot be coalesced
+		if ((options.method || 'GET').toUpperCase() != 'GET') return null;
+		if (options.download || options.preflight || options.pre_download || options.progress || options.signal) return null;
+		if (('data' in options) && (options.data !== null)) return null;
+
+		// all request headers are included, as any of them may affect the response
+		var headers = { ...this.defaultHeaders, ...(options.headers || {}) };
+		var pairs = Object.keys(headers).map( function(key) {
+			return key.toLowerCase() + ': ' + headers[key];
+		} ).sort();
+
+		// per-request objects (jars, signers, agents, keys) cannot be compared, so those are sent on their own
+		for (var idx = 0; idx < wireOptions.length; idx++) {
+			var name = wireOptions[idx];
+			if (!(name in options)) continue;
+			var value = options[name];
+			if (value && ((typeof(value) == 'object') || (typeof(value) == 'function'))) return null;
+			pairs.push( '[' + name + ']: ' + value );
+		}
+
+		return 'GET ' + url + "\n" + pairs.join("\n");
+	}
+
+	coalesceRequest(sendFunc, url, options, callback) {
+		// attach to identical in-flight request if there is one, otherwise send it
+		var self = this;
+		var key = this.getCoalesceKey(url, options);
+		if (!key) return sendFunc.call( this, url, options, callback );
+
+		if (!this.coalescing) this.coalescing = {};
+		var waiters = this.coalescing[key];
+		if (waiters) { waiters.push( callback ); return; }
+
+		waiters = this.coalescing[key] = [];
+
+		sendFunc.call( this, url, options, function(err, res, data, perf) {
+			delete self.coalescing[key];
+			if (waiters.length && perf) perf.count('coalesced', waiters.length);
+
+			// attached callers get their own response and body copies, and share the perf
+			// each is called on its own tick, so one throwing does not stop the others
+			// the last argument marks them as coalesced, so metrics are only recorded once
+			waiters.forEach( function(waiter) {
+				var waiter_res = copyResponse( res );
+				var waiter_data = Buffer.isBuffer(data) ? Buffer.from(data) : data;
+				process.nextTick( function() { waiter( err, waiter_res, waiter_data, perf, true ); } );
+			} );
+			callback( err, res, data, perf );
+		} );
+	}
+
+};
+
+function copyResponse(res) {
+	// shallow copy of response (keeping its prototype), with its own headers object
+	if (!res) return res;
+	var copy = Object.assign( Object.create( Object.getPrototypeOf(res) ), res );
+	copy.headers = { ...res.headers };
+	return copy;
+};
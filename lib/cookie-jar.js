@@ -0,0 +1,250 @@
+// RFC 6265 cookie jar for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const fs = require('fs');
+const net = require('net');
+const Class = require('class-plus');
+
+module.exports = Class({
+
+	__asyncify: {
+		save: [],
+		load: []
+	},
+
+	// all cookies, keyed by domain + path + name
+	cookies: null
+
+},
+class CookieJar {
+
+	constructor(cookies) {
+		// class constructor, optionally import cookies from save()
+		this.cookies = {};
+		if (cookies) this.import(cookies);
+	}
+
+	setCookie(header, url) {
+		// parse single Set-Cookie header and store cookie, if valid for url
+		var parts = require('url').parse(url);
+		var host = (parts.hostname || '').toLowerCase();
+		var now = Date.now();
+
+		var pairs = header.toString().split(/\s*;\s*/);
+		var first = pairs.shift();
+		var eq = first.indexOf('=');
+		if (eq == -1) return false;
+
+		var cookie = {
+			name: first.substring(0, eq).trim(),
+			value: first.substring(eq + 1).trim(),
+			domain: host,
+			hostOnly: true,
+			path: defaultPath(parts.pathname),
+			expires: null,
+			secure: false,
+			httpOnly: false,
+			sameSite: 'lax',
+			created: now
+		};
+		if (!cookie.name) return false;
+
+		var max_age = null;
+		pairs.forEach( function(pair) {
+			var idx = pair.indexOf('=');
+			var key = ((idx > -1) ? pair.substring(0, idx) : pair).trim().toLowerCase();
+			var value = (idx > -1) ? pair.substring(idx + 1).trim() : '';
+
+			switch (key) {
+				case 'expires':
+					var date = Date.parse(value);
+					if (!isNaN(date)) cookie.expires = date;
+				break;
+
+				case 'max-age':
+					if (value.match(/^\-?\d+$/)) max_age = parseInt(value, 10);
+				break;
+
+				case 'domain':
+					value = value.replace(/^\./, '').toLowerCase();
+					if (value) { cookie.domain = value; cookie.hostOnly = false; }
+				break;
+
+				case 'path':
+					if (value.match(/^\//)) cookie.path = value;
+				break;
+
+				case 'secure': cookie.secure = true; break;
+				case 'httponly': cookie.httpOnly = true; break;
+
+				case 'samesite':
+					value = value.toLowerCase();
+					if (value.match(/^(strict|lax|none)$/)) cookie.sameSite = value;
+				break;
+			}
+		} );
+
+		// max-age takes precedence over expires
+		if (max_age !== null) cookie.expires = now + (max_age * 1000);
+
+		// reject cookies for other domains, or for top-level domains
+		if (!cookie.hostOnly) {
+			if (!domainMatch(host, cookie.domain)) return false;
+			if (!cookie.domain.match(/\./) && (cookie.domain != host)) return false;
+		}
+
+		// secure cookies may only be set over https, and samesite=none requires secure
+		if (cookie.secure && (parts.protocol != 'https:')) return false;
+		if ((cookie.sameSite == 'none') && !cookie.secure) return false;
+
+		var key = cookie.domain + cookie.path + ';' + cookie.name;
+		var old_cookie = this.cookies[key];
+		if (old_cookie) cookie.created = old_cookie.created;
+
+		if ((cookie.expires !== null) && (cookie.expires <= now)) {
+			// expired cookie deletes existing one
+			delete this.cookies[key];
+			return false;
+		}
+
+		this.cookies[key] = cookie;
+		return cookie;
+	}
+
+	setCookies(headers, url) {
+		// store all cookies from Set-Cookie header(s) (string or array)
+		var self = this;
+		if (!Array.isArray(headers)) headers = [headers];
+		headers.forEach( function(header) { self.setCookie(header, url); } );
+	}
+
+	getCookies(url, opts) {
+		// get all cookies matching url, sorted per RFC 6265 (longest path first)
+		// opts: { method, site } where site is the url which initiated the request chain
+		if (!opts) opts = {};
+		var parts = require('url').parse(url);
+		var host = (parts.hostname || '').toLowerCase();
+		var path = parts.pathname || '/';
+		var now = Date.now();
+		var cross_site = !!opts.site && (siteOf(opts.site) != siteOf(url));
+		var method = (opts.method || 'GET').toUpperCase();
+		var matches = [];
+
+		for (var key in this.cookies) {
+			var cookie = this.cookies[key];
+
+			if ((cookie.expires !== null) && (cookie.expires <= now)) {
+				delete this.cookies[key];
+				continue;
+			}
+			if (cookie.hostOnly ? (host != cookie.domain) : !domainMatch(host, cookie.domain)) continue;
+			if (!pathMatch(path, cookie.path)) continue;
+			if (cookie.secure && (parts.protocol != 'https:')) continue;
+
+			if (cross_site) {
+				if (cookie.sameSite == 'strict') continue;
+				if ((cookie.sameSite == 'lax') && !method.match(/^(GET|HEAD)$/)) continue;
+			}
+
+			matches.push( cookie );
+		}
+
+		return matches.sort( function(a, b) {
+			return (b.path.length - a.path.length) || (a.created - b.created);
+		} );
+	}
+
+	getCookieString(url, opts) {
+		// get Cookie header value for url
+		return this.getCookies(url, opts).map( function(cookie) {
+			return cookie.name + '=' + cookie.value;
+		} ).join('; ');
+	}
+
+	removeCookies(domain) {
+		// remove all cookies, or all cookies for a specific domain
+		if (!domain) { this.cookies = {}; return; }
+
+		for (var key in this.cookies) {
+			if (domainMatch(this.cookies[key].domain, domain.toLowerCase())) delete this.cookies[key];
+		}
+	}
+
+	export() {
+		// export all non-expired cookies as an array of objects
+		var now = Date.now();
+		var cookies = [];
+
+		for (var key in this.cookies) {
+			var cookie = this.cookies[key];
+			if ((cookie.expires === null) || (cookie.expires > now)) cookies.push( Object.assign({}, cookie) );
+		}
+		return cookies;
+	}
+
+	import(cookies) {
+		// import cookies from export()
+		var self = this;
+		cookies.forEach( function(cookie) {
+			self.cookies[ cookie.domain + cookie.path + ';' + cookie.name ] = Object.assign({}, cookie);
+		} );
+	}
+
+	save(file, callback) {
+		// save all cookies to JSON file (atomic write)
+		var temp_file = file + '.' + process.pid + '.tmp';
+
+		fs.writeFile( temp_file, JSON.stringify({ cookies: this.export() }, null, "\t") + "\n", function(err) {
+			if (err) return callback(err);
+			fs.rename( temp_file, file, callback );
+		} );
+	}
+
+	load(file, callback) {
+		// load cookies from JSON file, merging with current cookies
+		var self = this;
+
+		fs.readFile( file, 'utf8', function(err, text) {
+			if (err) return callback(err);
+
+			var json = null;
+			try { json = JSON.parse(text); }
+			catch (err) {
+				return callback(err);
+			}
+
+			self.import( json.cookies || [] );
+			callback();
+		} );
+	}
+
+});
+
+function defaultPath(path) {
+	// compute default cookie path from request path (RFC 6265 section 5.1.4)
+	if (!path || !path.match(/^\//)) return '/';
+	var idx = path.lastIndexOf('/');
+	return idx ? path.substring(0, idx) : '/';
+};
+
+function domainMatch(host, domain) {
+	// check if host domain-matches cookie domain (RFC 6265 section 5.1.3)
+	if (host == domain) return true;
+	if (net.isIP(host)) return false;
+	return (host.length > domain.length) && (host.substring(host.length - domain.length - 1) == '.' + domain);
+};
+
+function pathMatch(path, cookie_path) {
+	// check if request path path-matches cookie path (RFC 6265 section 5.1.4)
+	if (path == cookie_path) return true;
+	if (path.indexOf(cookie_path) !== 0) return false;
+	return !!cookie_path.match(/\/$/) || (path.charAt(cookie_path.length) == '/');
+};
+
+function siteOf(url) {
+	// approximate registrable domain (last two labels) for samesite checks
+	var host = (require('url').parse(url).hostname || '').toLowerCase();
+	if (net.isIP(host)) return host;
+	return host.split('.').slice(-2).join('.');
+};
@@ -0,0 +1,345 @@
+// cURL command import for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const fs = require('fs');
+const { findHeaderKey } = require('./headers.js');
+
+// short options and their long equivalents
+const shortOptions = {
+	X: '--request', H: '--header', d: '--data', F: '--form', u: '--user', L: '--location',
+	m: '--max-time', k: '--insecure', I: '--head', G: '--get', A: '--user-agent', e: '--referer',
+	b: '--cookie', o: '--output', s: '--silent', S: '--show-error', v: '--verbose', i: '--include',
+	f: '--fail', g: '--globoff', N: '--no-buffer', '#': '--progress-bar'
+};
+
+// long options which take an argument
+const argOptions = [
+	'--request', '--header', '--data', '--data-ascii', '--data-binary', '--data-raw', '--data-urlencode', '--json',
+	'--form', '--form-string', '--user', '--max-time', '--connect-timeout', '--max-redirs', '--resolve',
+	'--user-agent', '--referer', '--cookie', '--output', '--url', '--retry'
+];
+
+// long options which are accepted, but have no effect
+const ignoredOptions = [
+	'--silent', '--show-error', '--verbose', '--include', '--fail', '--globoff', '--no-buffer', '--progress-bar', '--compressed'
+];
+
+module.exports = class Curl {
+
+	parseCurl(command) {
+		// parse curl command line into { url, options } for post() or request()
+		var args = shellSplit( command );
+		if (args[0] == 'curl') args.shift();
+
+		var url = null;
+		var method = null;
+		var headers = {};
+		var data = [];
+		var fields = null;
+		var files = null;
+		var use_get = false;
+		var resolves = [];
+		var options = {};
+		var opts = [];
+
+		// expand short options (e.g. -sSL or -XPOST) into long options with arguments
+		for (var idx = 0; idx < args.length; idx++) {
+			var arg = args[idx];
+			var name = null;
+
+			if (arg.match(/^--./)) {
+				name = arg;
+				if (argOptions.indexOf(name) > -1) {
+					if (idx + 1 >= args.length) throw new Error("Missing argument for curl option: " + name);
+					opts.push([ name, args[++idx] ]);
+				}
+				else opts.push([ name, null ]);
+			}
+			else if (arg.match(/^-./)) {
+				for (var jdx = 1; jdx < arg.length; jdx++) {
+					name = shortOptions[ arg[jdx] ];
+					if (!name) throw new Error("Unsupported curl option: -" + arg[jdx]);
+
+					if (argOptions.indexOf(name) > -1) {
+						// argument is the rest of this arg, or the next one
+						var value = arg.substring(jdx + 1);
+						if (!value.length) {
+							if (idx + 1 >= args.length) throw new Error("Missing argument for curl option: -" + arg[jdx]);
+							value = args[++idx];
+						}
+						opts.push([ name, value ]);
+						break;
+					}
+					opts.push([ name, null ]);
+				}
+			}
+			else opts.push([ '--url', arg ]);
+		}
+
+		opts.forEach( function(pair) {
+			var name = pair[0];
+			var value = pair[1];
+
+			switch (name) {
+				case '--url':
+					if (url) throw new Error("Multiple URLs are not supported: " + value);
+					url = value;
+				break;
+
+				case '--request': method = value.toUpperCase(); break;
+				case '--head': method = 'HEAD'; break;
+				case '--get': use_get = true; break;
+
+				case '--header':
+					var idx = value.indexOf(':');
+					if (idx == -1) throw new Error("Invalid curl header: " + value);
+					var key = value.substring(0, idx).trim();
+					var hvalue = value.substring(idx + 1).trim();
+					for (var other in headers) {
+						if (other.toLowerCase() == key.toLowerCase()) delete headers[other];
+					}
+					if (hvalue.length) headers[key] = hvalue; // empty value removes header in curl
+				break;
+
+				case '--user-agent': headers['User-Agent'] = value; break;
+				case '--referer': headers['Referer'] = value; break;
+
+				case '--cookie':
+					if (value.indexOf('=') == -1) throw new Error("Unsupported curl option: --cookie with a file: " + value);
+					headers['Cookie'] = value;
+				break;
+
+				case '--data':
+				case '--data-ascii':
+					// curl strips newlines from files with these (files are kept as buffers, as they may be binary)
+					data.push( value.match(/^@/) ? stripNewlines( readFile(value.substring(1)) ) : value );
+				break;
+
+				case '--data-binary':
+					data.push( value.match(/^@/) ? readFile(value.substring(1)) : value );
+				break;
+
+				case '--data-raw': data.push( value ); break;
+
+				case '--data-urlencode':
+					data.push( urlEncodeData(value) );
+				break;
+
+				case '--json':
+					data.push( value.match(/^@/) ? readFile(value.substring(1)) : value );
+					if (!findHeaderKey(headers, 'Content-Type')) headers['Content-Type'] = 'application/json';
+					if (!findHeaderKey(headers, 'Accept')) headers['Accept'] = 'application/json';
+				break;
+
+				case '--form':
+				case '--form-string':
+					var eq = value.indexOf('=');
+					if (eq == -1) throw new Error("Invalid curl form field: " + value);
+					var fname = value.substring(0, eq);
+					var fvalue = value.substring(eq + 1);
+					if (!fields) { fields = {}; files = {}; }
+
+					if ((name == '--form') && fvalue.match(/^@/)) {
+						// file upload, with optional ;filename= and ;type= (type is detected by form-data)
+						var parts = fvalue.substring(1).split(/;\s*/);
+						var filename = null;
+						parts.slice(1).forEach( function(part) {
+							var matches = part.match(/^filename=\"?([^\"]*)\"?$/);
+							if (matches) filename = matches[1];
+						} );
+						files[fname] = filename ? [ parts[0], filename ] : parts[0];
+					}
+					else if ((name == '--form') && fvalue.match(/^</)) {
+						// field value from file
+						fields[fname] = readFile( fvalue.substring(1).split(/;\s*/)[0] ).toString();
+					}
+					else fields[fname] = fvalue;
+				break;
+
+				case '--user': options.auth = value; break;
+				case '--digest': options.digestAuth = true; break;
+				case '--basic': options.digestAuth = false; break;
+				case '--location': if (!options.follow) options.follow = true; break;
+				case '--max-redirs': options.follow = parseInt(value); break;
+				case '--max-time': options.maxTime = Math.round( parseFloat(value) * 1000 ); break;
+				case '--connect-timeout': options.connectTimeout = Math.round( parseFloat(value) * 1000 ); break;
+				case '--insecure': options.rejectUnauthorized = false; break;
+				case '--retry': options.retries = parseInt(value); break;
+				case '--http2': options.http2 = true; break;
+				case '--http1.1': options.http2 = false; break;
+
+				case '--output':
+					if (value != '-') options.download = value;
+				break;
+
+				case '--resolve':
+					// host:port:address (address may be in brackets for IPv6)
+					var matches = value.match(/^([^:]+):(\d+):\[?([^\]]+)\]?$/);
+					if (!matches) throw new Error("Invalid curl resolve entry: " + value);
+					resolves.push({ host: matches[1].toLowerCase(), port: matches[2], address: matches[3] });
+				break;
+
+				default:
+					if (ignoredOptions.indexOf(name) == -1) throw new Error("Unsupported curl option: " + name);
+				break;
+			} // switch name
+		} );
+
+		if (!url) throw new Error("No URL found in curl command");
+		if (!url.match(/^\w+:\/\//)) url = 'http://' + url;
+
+		if (data.length) {
+			if (use_get) {
+				// -G appends data to query string
+				url += ((url.indexOf('?') > -1) ? '&' : '?') + data.map( function(item) { return item.toString(); } ).join('&');
+			}
+			else {
+				// join with ampersands as buffers, so binary file contents are sent as-is
+				var chunks = [];
+				data.forEach( function(item, idx) {
+					if (idx) chunks.push( Buffer.from('&') );
+					chunks.push( Buffer.isBuffer(item) ? item : Buffer.from(item) );
+				} );
+				options.data = Buffer.concat( chunks );
+				if (!findHeaderKey(headers, 'Content-Type')) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+			}
+		}
+		if (fields) {
+			options.data = fields;
+			options.files = files;
+			options.multipart = true;
+		}
+
+		options.method = method || (use_get ? 'GET' : ((options.data ? 'POST' : 'GET')));
+		options.headers = headers;
+
+		if (resolves.length) {
+			// only entries for our host and port apply
+			var parsed = require('url').parse(url);
+			var port = parsed.port || ((parsed.protocol == 'https:') ? '443' : '80');
+			var entry = resolves.find( function(entry) { return (entry.host == parsed.hostname.toLowerCase()) && (entry.port == port); } );
+			if (entry) options.lookup = staticLookup( entry.host, entry.address );
+		}
+
+		return { url: url, options: options };
+	}
+
+};
+
+function staticLookup(host, address) {
+	// dns lookup function which resolves host to fixed address (see --resolve)
+	var family = (address.indexOf(':') > -1) ? 6 : 4;
+	return function(hostname, opts, callback) {
+		if (typeof(opts) == 'function') { callback = opts; opts = {}; }
+		if (hostname.toLowerCase() != host) return require('dns').lookup( hostname, opts, callback );
+		if (opts && opts.all) return callback( null, [{ address: address, family: family }] );
+		callback( null, address, family );
+	};
+};
+
+function urlEncodeData(value) {
+	// encode --data-urlencode value: content, =content, name=content, @file or name@file
+	var eq = value.indexOf('=');
+	var at = value.indexOf('@');
+
+	if ((eq > -1) && ((at == -1) || (eq < at))) {
+		var name = value.substring(0, eq);
+		var content = encodeURIComponent( value.substring(eq + 1) );
+		return name.length ? (name + '=' + content) : content;
+	}
+	if (at > -1) {
+		var content = encodeURIComponent( readFile(value.substring(at + 1)).toString() );
+		return (at > 0) ? (value.substring(0, at) + '=' + content) : content;
+	}
+	return encodeURIComponent( value );
+};
+
+function readFile(file) {
+	// read file referenced from command line (sync, as parsing is sync)
+	return fs.readFileSync( file );
+};
+
+function stripNewlines(buf) {
+	// remove all CR and LF bytes from buffer (as curl does for --data @file)
+	return Buffer.from( buf.filter( function(byte) { return (byte != 13) && (byte != 10); } ) );
+};
+
+function shellSplit(command) {
+	// split shell command line into arguments, supporting quotes, escapes and line continuations
+	var args = [];
+	var cur = null;
+	var idx = 0;
+	var len = command.length;
+
+	while (idx < len) {
+		var ch = command[idx];
+
+		if ((ch == '\\') && command.substring(idx + 1).match(/^\r?\n/)) {
+			// line continuation
+			idx += (command[idx + 1] == "\r") ? 3 : 2;
+			continue;
+		}
+		if (ch.match(/\s/)) {
+			if (cur !== null) { args.push(cur); cur = null; }
+			idx++;
+			continue;
+		}
+		if (cur === null) cur = '';
+
+		if (ch == "'") {
+			// single quotes: everything is literal
+			var end = command.indexOf("'", idx + 1);
+			if (end == -1) throw new Error("Unterminated quote in curl command");
+			cur += command.substring(idx + 1, end);
+			idx = end + 1;
+		}
+		else if ((ch == '$') && (command[idx + 1] == "'")) {
+			// ANSI-C quotes, e.g. $'line1\nline2' (as used by browser dev tools)
+			idx += 2;
+			while ((idx < len) && (command[idx] != "'")) {
+				if (command[idx] == '\\') {
+					var esc = command[idx + 1];
+					var hex = null;
+					if (esc == 'x') hex = command.substring(idx + 2).match(/^[0-9a-fA-F]{1,2}/);
+					else if (esc == 'u') hex = command.substring(idx + 2).match(/^[0-9a-fA-F]{1,4}/);
+
+					if (hex) {
+						cur += String.fromCharCode( parseInt(hex[0], 16) );
+						idx += 2 + hex[0].length;
+						continue;
+					}
+					cur += { n: "\n", r: "\r", t: "\t", '0': "\0" }[esc] || esc;
+					idx += 2;
+				}
+				else cur += command[idx++];
+			}
+			if (idx >= len) throw new Error("Unterminated quote in curl command");
+			idx++;
+		}
+		else if (ch == '"') {
+			// double quotes: backslash only escapes a few characters
+			idx++;
+			while ((idx < len) && (command[idx] != '"')) {
+				if ((command[idx] == '\\') && (idx + 1 < len) && command[idx + 1].match(/[\"\\\$`\n]/)) {
+					if (command[idx + 1] != "\n") cur += command[idx + 1];
+					idx += 2;
+				}
+				else cur += command[idx++];
+			}
+			if (idx >= len) throw new Error("Unterminated quote in curl command");
+			idx++;
+		}
+		else if (ch == '\\') {
+			cur += command[idx + 1] || '';
+			idx += 2;
+		}
+		else {
+			cur += ch;
+			idx++;
+		}
+	}
+
+	if (cur !== null) args.push(cur);
+	return args;
+};
@@ -0,0 +1,190 @@
+// Digest access authentication (RFC 7616) for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const crypto = require('crypto');
+const { quoteString } = require('./headers.js');
+
+// supported algorithms and their node hash names, strongest first
+const digestAlgorithms = {
+	'SHA-512-256': 'sha512-256',
+	'SHA-256': 'sha256',
+	'MD5': 'md5'
+};
+
+module.exports = class Digest {
+
+	setDigestAuth(enabled) {
+		// only send credentials using digest auth (never basic), or false to allow basic auth until challenged
+		this.digestAuth = enabled;
+	}
+
+	clearDigestNonces() {
+		// discard all cached digest challenges
+		this.digestNonces = null;
+	}
+
+	getDigestChallenge(origin, res) {
+		// find best digest challenge in 401 response, and cache it for origin and realm
+		// returns challenge object, or null if there is no supported challenge
+		var header = res.headers['www-authenticate'];
+		if (!header) return null;
+
+		var best = null;
+		var best_rank = -1;
+		var names = Object.keys(digestAlgorithms);
+
+		parseChallenges( [].concat(header).join(', ') ).forEach( function(item) {
+			var params = item.params;
+			if ((item.scheme != 'digest') || !params.nonce) return;
+
+			// algorithm names are case-insensitive, and may have a -sess suffix
+			var algorithm = (params.algorithm || 'MD5').toUpperCase();
+			var base = algorithm.replace(/\-SESS$/, '');
+			if (!digestAlgorithms[base]) return;
+
+			// qop is optional (RFC 2069), but we need to support one of the offered values
+			var qops = params.qop ? params.qop.split(/\s*,\s*/).map( function(qop) { return qop.toLowerCase(); } ) : null;
+			if (qops && (qops.indexOf('auth') == -1) && (qops.indexOf('auth-int') == -1)) return;
+
+			var rank = names.length - names.indexOf(base);
+			if (rank <= best_rank) return;
+			best_rank = rank;
+
+			best = {
+				realm: params.realm || '',
+				nonce: params.nonce,
+				opaque: ('opaque' in params) ? params.opaque : null,
+				algorithm: algorithm,
+				hash: digestAlgorithms[base],
+				sess: (algorithm != base),
+				qops: qops,
+				userhash: !!(params.userhash && params.userhash.match(/^true$/i)),
+				stale: !!(params.stale && params.stale.match(/^true$/i)),
+				nc: 0
+			};
+		} );
+
+		if (!best) return null;
+
+		// remember nonce for realm, and the realm last used by the origin, for pre-emptive auth
+		if (!this.digestNonces) this.digestNonces = { realms: {}, challenges: {} };
+		this.digestNonces.realms[origin] = best.realm;
+		this.digestNonces.challenges[origin + ' ' + best.realm] = best;
+
+		return best;
+	}
+
+	getDigestAuthorization(origin, creds, method, uri, body, challenge) {
+		// compute digest Authorization header for request, using challenge or cached nonce for origin
+		// returns header value, or null if we have no challenge to answer
+		if (!challenge) {
+			var cache = this.digestNonces;
+			if (!cache || !(origin in cache.realms)) return null;
+			challenge = cache.challenges[ origin + ' ' + cache.realms[origin] ];
+			if (!challenge) return null;
+		}
+
+		var idx = creds.indexOf(':');
+		var username = (idx > -1) ? creds.substring(0, idx) : creds;
+		var password = (idx > -1) ? creds.substring(idx + 1) : '';
+
+		var hash = function(value) {
+			return crypto.createHash( challenge.hash ).update( value ).digest('hex');
+		};
+
+		// prefer qop=auth, and only use auth-int if that is all the server offers
+		var qop = null;
+		if (challenge.qops) qop = (challenge.qops.indexOf('auth') > -1) ? 'auth' : 'auth-int';
+
+		// auth-int hashes the body, which we cannot do for multipart forms and streams
+		if ((qop == 'auth-int') && body && !Buffer.isBuffer(body) && (typeof(body) != 'string')) return null;
+
+		var cnonce = crypto.randomBytes(16).toString('hex');
+		var nc = ('00000000' + (++challenge.nc).toString(16)).slice(-8);
+
+		var ha1 = hash( username + ':' + challenge.realm + ':' + password );
+		if (challenge.sess) ha1 = hash( ha1 + ':' + challenge.nonce + ':' + cnonce );
+
+		var ha2 = (qop == 'auth-int') ?
+			hash( method + ':' + uri + ':' + hash(body || '') ) :
+			hash( method + ':' + uri );
+
+		var response = qop ?
+			hash( [ha1, challenge.nonce, nc, cnonce, qop, ha2].join(':') ) :
+			hash( [ha1, challenge.nonce, ha2].join(':') );
+
+		var pairs = [];
+		if (challenge.userhash) pairs.push( 'username=' + quoteString( hash(username + ':' + challenge.realm) ) );
+		else if (username.match(/[^\x20-\x7E]/)) pairs.push( "username*=UTF-8''" + encodeURIComponent(username) );
+		else pairs.push( 'username=' + quoteString(username) );
+
+		pairs.push( 'realm=' + quoteString(challenge.realm) );
+		pairs.push( 'nonce=' + quoteString(challenge.nonce) );
+		pairs.push( 'uri=' + quoteString(uri) );
+		pairs.push( 'algorithm=' + challenge.algorithm );
+		pairs.push( 'response=' + quoteString(response) );
+		if (challenge.opaque !== null) pairs.push( 'opaque=' + quoteString(challenge.opaque) );
+		if (qop) {
+			pairs.push( 'qop=' + qop );
+			pairs.push( 'nc=' + nc );
+			pairs.push( 'cnonce=' + quoteString(cnonce) );
+		}
+		if (challenge.userhash) pairs.push( 'userhash=true' );
+
+		return 'Digest ' + pairs.join(', ');
+	}
+
+};
+
+function parseChallenges(header) {
+	// parse WWW-Authenticate header into list of { scheme, params }, as multiple challenges may be comma-joined
+	var challenges = [];
+	var current = null;
+	var idx = 0;
+	var len = header.length;
+
+	while (idx < len) {
+		// skip separators
+		var ch = header[idx];
+		if ((ch == ',') || ch.match(/\s/)) { idx++; continue; }
+
+		var matches = header.substring(idx).match(/^[^\s,=]+/);
+		if (!matches) { idx++; continue; }
+		var token = matches[0];
+		idx += token.length;
+
+		while ((idx < len) && header[idx].match(/[ \t]/)) idx++;
+
+		if ((header[idx] != '=') || !current) {
+			// start of new challenge (or stray token68, which we do not need)
+			if (header[idx] == '=') { while ((idx < len) && (header[idx] == '=')) idx++; continue; }
+			current = { scheme: token.toLowerCase(), params: {} };
+			challenges.push( current );
+			continue;
+		}
+
+		// auth-param, value is token or quoted-string
+		idx++;
+		while ((idx < len) && header[idx].match(/[ \t]/)) idx++;
+
+		var value = '';
+		if (header[idx] == '"') {
+			idx++;
+			while ((idx < len) && (header[idx] != '"')) {
+				if ((header[idx] == '\\') && (idx + 1 < len)) idx++;
+				value += header[idx++];
+			}
+			idx++;
+		}
+		else {
+			matches = header.substring(idx).match(/^[^\s,]*/);
+			value = matches[0];
+			idx += value.length;
+		}
+
+		current.params[ token.toLowerCase() ] = value;
+	}
+
+	return challenges;
+};
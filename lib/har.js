@@ -0,0 +1,175 @@
+// HAR 1.2 export for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const querystring = require('querystring');
+const FormData = require('form-data');
+const { getHeader } = require('./headers.js');
+
+module.exports = class HAR {
+
+	setHAR(opts) {
+		// start collecting requests for HAR export (true or options), or false to stop
+		// opts: { content, maxEntries }
+		if (!opts) { this.har = false; return; }
+		if (opts === true) opts = {};
+		this.har = { content: false, maxEntries: 1000, ...opts, entries: [], pending: new WeakMap() };
+	}
+
+	getHAR() {
+		// get HAR 1.2 document with all collected requests, in the order they were sent
+		var entries = this.har ? this.har.entries.slice() : [];
+		entries.sort( function(a, b) { return a._start - b._start; } );
+
+		return {
+			log: {
+				version: '1.2',
+				creator: { name: 'pixl-request', version: require('../package.json').version },
+				pages: [],
+				entries: entries.map( function(entry) {
+					var out = { ...entry };
+					delete out._start;
+					return out;
+				} )
+			}
+		};
+	}
+
+	clearHAR() {
+		// discard all collected requests
+		if (this.har) this.har.entries = [];
+	}
+
+	harStart(url, options, post_data, perf) {
+		// start HAR entry for a single hop (initial, redirect or retry)
+		var parts = require('url').parse(url, true);
+
+		var entry = {
+			_start: Date.now(),
+			startedDateTime: (new Date()).toISOString(),
+			time: 0,
+			request: {
+				method: (options.method || 'GET').toUpperCase(),
+				url: url,
+				httpVersion: 'HTTP/1.1',
+				cookies: [],
+				headers: harPairs( options.headers ),
+				queryString: harPairs( parts.query ),
+				headersSize: -1,
+				bodySize: 0
+			},
+			response: {
+				status: 0,
+				statusText: '',
+				httpVersion: '',
+				cookies: [],
+				headers: [],
+				content: { size: 0, mimeType: '' },
+				redirectURL: '',
+				headersSize: -1,
+				bodySize: -1
+			},
+			cache: {},
+			timings: { blocked: -1, dns: -1, connect: -1, send: 0, wait: 0, receive: 0, ssl: -1 }
+		};
+
+		if (post_data !== null) {
+			var mime_type = getHeader( options.headers, 'Content-Type' ) || '';
+			var post = entry.request.postData = { mimeType: mime_type, params: [], text: '' };
+
+			if (Buffer.isBuffer(post_data)) {
+				entry.request.bodySize = post_data.length;
+				post.text = post_data.toString('utf8');
+				if (mime_type.match(/x-www-form-urlencoded/i)) post.params = harPairs( querystring.parse(post.text) );
+			}
+			else {
+				// streams and multipart forms are not captured
+				entry.request.bodySize = -1;
+				if (post_data instanceof FormData) post.mimeType = 'multipart/form-data; boundary=' + post_data.getBoundary();
+			}
+		}
+
+		this.har.pending.set( perf, entry );
+	}
+
+	harResponse(perf, req, res) {
+		// add response headers to HAR entry
+		var entry = this.har && this.har.pending.get(perf);
+		if (!entry) return;
+
+		// use headers as actually sent, including any added by node
+		if (req && req.getHeaders) entry.request.headers = harPairs( req.getHeaders() );
+
+		var content_length = parseInt( res.headers['content-length'] );
+		entry.response = {
+			...entry.response,
+			status: res.statusCode,
+			statusText: res.statusMessage || '',
+			httpVersion: 'HTTP/' + (res.httpVersion || '1.1'),
+			headers: harPairs( res.headers ),
+			content: { size: isNaN(content_length) ? 0 : content_length, mimeType: res.headers['content-type'] || '' },
+			redirectURL: res.headers['location'] || '',
+			bodySize: isNaN(content_length) ? -1 : content_length
+		};
+		entry.request.httpVersion = entry.response.httpVersion;
+		if (res.socket && res.socket.remoteAddress) entry.serverIPAddress = res.socket.remoteAddress;
+	}
+
+	harFinish(perf, err) {
+		// complete HAR entry with timings for this hop only (called before previous hops are merged in)
+		var har = this.har;
+		var entry = har && har.pending.get(perf);
+		if (!entry) return;
+
+		var p = perf.perf;
+		var timings = entry.timings;
+		['dns', 'connect', 'send', 'wait', 'receive'].forEach( function(key) {
+			if (p[key]) timings[key] = Math.round( (p[key].elapsed || 0) * 1000 ) / 1000;
+		} );
+
+		// decompression happens while receiving, as far as a HAR viewer is concerned
+		if (p.decompress) timings.receive = Math.round( (timings.receive + p.decompress.elapsed) * 1000 ) / 1000;
+
+		entry.time = 0;
+		for (var key in timings) {
+			if (timings[key] > 0) entry.time += timings[key];
+		}
+		entry.time = Math.round( entry.time * 1000 ) / 1000;
+
+		if (err) entry._error = err.message || ('' + err);
+
+		har.entries.push( entry );
+		if (har.maxEntries && (har.entries.length > har.maxEntries)) har.entries.shift();
+	}
+
+	harContent(perf, err, data) {
+		// add final response body to HAR entry, once the entire request completes
+		var entry = this.har && this.har.pending.get(perf);
+		if (!entry) return;
+		this.har.pending.delete(perf);
+
+		if (err && !entry._error) entry._error = err.message || ('' + err);
+		if (!Buffer.isBuffer(data)) return;
+
+		var content = entry.response.content;
+		content.size = data.length;
+
+		if (this.har.content) {
+			var text = data.toString('utf8');
+			if (Buffer.from(text, 'utf8').equals(data)) content.text = text;
+			else { content.text = data.toString('base64'); content.encoding = 'base64'; }
+		}
+	}
+
+};
+
+function harPairs(obj) {
+	// convert headers or parsed query string to HAR name/value pairs (multiple values are split out)
+	var out = [];
+	for (var name in obj || {}) {
+		[].concat( obj[name] ).forEach( function(value) {
+			out.push({ name: name, value: '' + value });
+		} );
+	}
+	return out;
+};
@@ -0,0 +1,61 @@
+// Header and host helpers shared by pixl-request modules
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+// headers masked by default in debug logs and recorded fixtures
+const secretHeaders = ['Authorization', 'Proxy-Authorization', 'Cookie', 'Set-Cookie'];
+
+function findHeaderKey(headers, name) {
+	// case-insensitive header lookup, returns actual key or null
+	name = name.toLowerCase();
+	for (var key in headers || {}) {
+		if (key.toLowerCase() == name) return key;
+	}
+	return null;
+};
+
+function getHeader(headers, name) {
+	// case-insensitive header lookup, returns value as string (multiple values are joined) or null
+	var key = findHeaderKey( headers, name );
+	if (key === null) return null;
+	return [].concat( headers[key] ).join(', ').trim();
+};
+
+function deleteHeader(headers, name) {
+	// case-insensitive header delete
+	name = name.toLowerCase();
+	for (var key in headers) {
+		if (key.toLowerCase() == name) delete headers[key];
+	}
+};
+
+function extractUrlHeaders(url, headers) {
+	// move headers included in URL e.g. [header: Cookie: foo=bar] into headers, returns URL without them
+	return url.replace(/\s*\[header\:\s*([\w\-]+)\:\s*([^\]]+)\]/ig, function(m_all, m_g1, m_g2) {
+		headers[ m_g1 ] = m_g2;
+		return '';
+	}).trim();
+};
+
+function hostHeader(parts) {
+	// get host as sent in Host header (from parsed URL), without default port
+	var port = parts.port;
+	if ((port == '80') && (parts.protocol == 'http:')) port = null;
+	if ((port == '443') && (parts.protocol == 'https:')) port = null;
+	return (parts.hostname || '') + (port ? (':' + port) : '');
+};
+
+function quoteString(value) {
+	// format value as quoted-string
+	return '"' + ('' + value).replace(/([\"\\])/g, "\\$1") + '"';
+};
+
+module.exports = {
+	secretHeaders: secretHeaders,
+	findHeaderKey: findHeaderKey,
+	getHeader: getHeader,
+	deleteHeader: deleteHeader,
+	extractUrlHeaders: extractUrlHeaders,
+	hostHeader: hostHeader,
+	quoteString: quoteString
+};
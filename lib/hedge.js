@@ -0,0 +1,35 @@
+// Hedged requests for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+// number of recent response times to keep per host, and minimum needed for percentiles
+const maxSamples = 100;
+const minSamples = 10;
+
+module.exports = class Hedge {
+
+	getHedgeDelay(hedge, host) {
+		// get hedge delay in ms: fixed number, or percentile of recent response times for host (e.g. p95)
+		// returns null if there is not enough data yet
+		if (typeof(hedge) == 'number') return hedge;
+
+		var match = ('' + hedge).match(/^p(\d+(\.\d+)?)$/i);
+		var samples = (this.hedgeSamples || {})[host];
+		if (!match || !samples || (samples.length < minSamples)) return null;
+
+		var sorted = samples.slice().sort( function(a, b) { return a - b; } );
+		var idx = Math.min( sorted.length - 1, Math.floor( sorted.length * parseFloat(match[1]) / 100 ) );
+		return Math.round( sorted[idx] );
+	}
+
+	recordHedgeSample(host, elapsed) {
+		// record time to response headers for host, used for percentile hedge delays
+		if (!this.hedgeSamples) this.hedgeSamples = {};
+		var samples = this.hedgeSamples[host];
+		if (!samples) samples = this.hedgeSamples[host] = [];
+
+		samples.push( elapsed );
+		if (samples.length > maxSamples) samples.shift();
+	}
+
+};
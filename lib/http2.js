@@ -0,0 +1,153 @@
+// HTTP/2 transport for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const http = require('http');
+const http2 = require('http2');
+const net = require('net');
+const tls = require('tls');
+
+// headers which are not allowed in HTTP/2 requests
+const connectionHeaders = /^(connection|keep-alive|proxy-connection|transfer-encoding|upgrade|host|http2-settings)$/i;
+
+// TLS options we pass through to the session socket
+const tlsOptionKeys = ['ca', 'cert', 'key', 'pfx', 'passphrase', 'ciphers', 'minVersion', 'maxVersion', 'rejectUnauthorized', 'checkServerIdentity'];
+
+module.exports = class HTTP2 {
+
+	setHTTP2(enabled) {
+		// enable or disable HTTP/2 for all future requests
+		this.http2 = enabled;
+	}
+
+	setHTTP2SessionTimeout(timeout) {
+		// close idle HTTP/2 sessions after N milliseconds
+		this.http2SessionTimeout = timeout;
+	}
+
+	closeHTTP2Sessions() {
+		// gracefully close all pooled HTTP/2 sessions
+		var sessions = this.http2Sessions || {};
+		this.http2Sessions = {};
+
+		for (var key in sessions) {
+			if (!sessions[key].closed) sessions[key].close();
+		}
+	}
+
+	getHTTP2Session(options) {
+		// get existing session for origin, or connect a new one
+		var self = this;
+		if (!this.http2Sessions) this.http2Sessions = {};
+
+		var secure = (options.protocol == 'https:');
+		var servername = (options.headers['Host'] || options.hostname).toString().replace(/\:\d+$/, '');
+		var key = options.protocol + '//' + options.hostname + ':' + options.port + '/' + servername;
+		if (options.rejectUnauthorized === false) key += '/insecure';
+
+		var session = this.http2Sessions[key];
+		if (session && !session.closed && !session.destroyed) return session;
+
+		var socket = null;
+		var authority = options.protocol + '//' + servername + ':' + options.port;
+
+		session = http2.connect( authority, {
+			createConnection: function() {
+				// create our own socket, so request() can hook dns/connect events and ACLs
+				if (secure) {
+					var tls_opts = {
+						host: options.hostname,
+						port: options.port,
+						ALPNProtocols: ['h2']
+					};
+					if (!net.isIP(servername)) tls_opts.servername = servername;
+					tlsOptionKeys.forEach( function(name) {
+						if (name in options) tls_opts[name] = options[name];
+					} );
+					socket = tls.connect( tls_opts );
+				}
+				else {
+					socket = net.connect({ host: options.hostname, port: options.port });
+				}
+				return socket;
+			}
+		} );
+		session._pixl_socket = socket;
+		session._pixl_streams = 0;
+
+		var removeSession = function() {
+			if (self.http2Sessions[key] === session) delete self.http2Sessions[key];
+		};
+
+		// errors are also delivered to all pending streams
+		session.on('error', removeSession);
+		session.on('goaway', removeSession);
+		session.on('close', removeSession);
+
+		if (this.http2SessionTimeout) {
+			session.setTimeout( this.http2SessionTimeout, function() {
+				removeSession();
+				session.close();
+			} );
+		}
+
+		this.http2Sessions[key] = session;
+		return session;
+	}
+
+	http2Request(options, callback) {
+		// send request over pooled HTTP/2 session
+		// returns stream which mimics http.ClientRequest, and response which mimics http.IncomingMessage
+		var session = this.getHTTP2Session(options);
+		var headers = {
+			':method': options.method || 'GET',
+			':path': options.path || '/',
+			':scheme': options.protocol.replace(/\:$/, ''),
+			':authority': (options.headers['Host'] || (options.hostname + ':' + options.port)).toString()
+		};
+
+		for (var key in options.headers) {
+			if (!key.match(connectionHeaders)) headers[ key.toLowerCase() ] = options.headers[key];
+		}
+
+		var stream = session.request( headers, { endStream: false } );
+
+		// keep process alive only while streams are active
+		session._pixl_streams++;
+		session.ref();
+		stream.on('close', function() {
+			session._pixl_streams--;
+			if (!session._pixl_streams && !session.destroyed) session.unref();
+		} );
+
+		// unwrap errors from canceled pending streams (e.g. connect failures)
+		var emit = stream.emit;
+		stream.emit = function(name, err) {
+			if ((name == 'error') && err && (err.code == 'ERR_HTTP2_STREAM_CANCEL') && err.cause) {
+				return emit.call( stream, name, err.cause );
+			}
+			return emit.apply( stream, arguments );
+		};
+		stream.abort = function() { stream.destroy(); };
+
+		stream.on('response', function(res_headers) {
+			// convert pseudo headers into http/1.1 style response properties
+			stream.statusCode = parseInt( res_headers[':status'], 10 );
+			stream.statusMessage = http.STATUS_CODES[ stream.statusCode ] || '';
+			stream.httpVersion = '2.0';
+			stream.headers = {};
+			for (var key in res_headers) {
+				if (!key.match(/^\:/)) stream.headers[key] = res_headers[key];
+			}
+			callback( stream );
+		} );
+
+		// let request() hook the session socket (perf, acls)
+		process.nextTick( function() {
+			if (session._pixl_socket && !stream.destroyed) stream.emit('socket', session._pixl_socket);
+		} );
+
+		return stream;
+	}
+
+};
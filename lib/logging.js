@@ -0,0 +1,183 @@
+// Structured debug logging with secret redaction for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const querystring = require('querystring');
+const { secretHeaders } = require('./headers.js');
+
+module.exports = class Logging {
+
+	setLogger(logger, opts) {
+		// attach logger with pixl-logger compatible debug(level, msg, data) method, or false to detach
+		// opts: { redactHeaders, redactFields, mask }
+		this.logger = logger || false;
+		this.logRedact = {
+			redactHeaders: secretHeaders,
+			redactFields: [],
+			mask: '[REDACTED]',
+			...(opts || {})
+		};
+	}
+
+	logDebug(level, msg, data) {
+		// log debug message, if logger is attached
+		if (this.logger) this.logger.debug( level, msg, data );
+	}
+
+	emitEvent(name, info) {
+		// emit lifecycle event, and log it if logger is attached
+		this.emit( name, info );
+		if (this.logger) this.logEvent( name, info );
+	}
+
+	logEvent(name, info) {
+		// log lifecycle event with secrets redacted
+		var url = this.redactURL( info.url || '' );
+		var data = { url: url };
+		if (info.attempt) data.attempt = info.attempt;
+
+		var errMsg = function(err) {
+			return (err && err.message) ? err.message : ('' + err);
+		};
+
+		switch (name) {
+			case 'request':
+				var opts = info.options;
+				data.method = (opts.method || 'GET').toUpperCase();
+				data.headers = this.redactHeaders( opts.headers );
+				var body = this.redactBody( info.data, opts.headers );
+				if (body !== undefined) data.body = body;
+				this.logDebug( 8, "Sending request: " + data.method + " " + url, data );
+			break;
+
+			case 'dns':
+				data.hostname = info.hostname;
+				if (info.err) {
+					data.err = errMsg(info.err);
+					this.logDebug( 6, "DNS lookup failed: " + info.hostname + ": " + data.err, data );
+				}
+				else {
+					data.address = info.address;
+					data.family = info.family;
+					this.logDebug( 9, "DNS lookup complete: " + info.hostname + ": " + info.address, data );
+				}
+			break;
+
+			case 'connect':
+				this.logDebug( 9, "Socket connected: " + url, data );
+			break;
+
+			case 'response':
+				data.code = info.resp.statusCode;
+				data.status = info.resp.statusMessage;
+				data.headers = this.redactHeaders( info.resp.headers );
+				this.logDebug( 8, "Received response: " + data.code + " " + data.status + ": " + url, data );
+			break;
+
+			case 'redirect':
+				data.location = this.redactURL( info.location || '' );
+				data.code = info.resp.statusCode;
+				this.logDebug( 6, "Following redirect: " + url + " --> " + data.location, data );
+			break;
+
+			case 'retry':
+				data.delay = info.delay;
+				data.retryAfter = (info.retryAfter === undefined) ? null : info.retryAfter;
+				if (info.err) data.err = errMsg(info.err);
+				if (info.resp) data.code = info.resp.statusCode;
+				this.logDebug( 6, "Retrying request in " + info.delay + " ms: " + url + ": " + (data.err || ("HTTP " + data.code)), data );
+			break;
+
+			case 'timeout':
+				data.err = errMsg(info.err);
+				this.logDebug( 6, "Request timed out: " + url + ": " + data.err, data );
+			break;
+
+			case 'circuit':
+				data = { origin: info.origin, state: info.state, failures: info.failures };
+				this.logDebug( 6, "Circuit breaker " + info.state + ": " + info.origin, data );
+			break;
+
+			case 'cooldown':
+				data = { host: info.host, delay: info.delay };
+				this.logDebug( 6, "Cooling down host for " + info.delay + " ms: " + info.host, data );
+			break;
+
+			case 'complete':
+				if (info.resp) data.code = info.resp.statusCode;
+				if (info.perf) data.perf = info.perf.metrics();
+				if (info.err) {
+					data.err = errMsg(info.err);
+					this.logDebug( 5, "Request failed: " + url + ": " + data.err, data );
+				}
+				else {
+					this.logDebug( 8, "Request complete: " + data.code + ": " + url, data );
+				}
+			break;
+		} // switch name
+	}
+
+	redactURL(url) {
+		// mask credentials and chosen query fields in url
+		var mask = this.logRedact.mask;
+		var fields = this.logRedact.redactFields.map( function(field) { return field.toLowerCase(); } );
+
+		url = url.replace( /^(\w+:\/\/)([^\/\?#@]+)@/, function(m_all, m_proto) { return m_proto + mask + '@'; } );
+
+		return url.replace( /([\?&])([^=&#]+)=([^&#]*)/g, function(m_all, m_sep, m_key, m_value) {
+			var key = '';
+			try { key = decodeURIComponent(m_key).toLowerCase(); } catch (e) { key = m_key.toLowerCase(); }
+			return (fields.indexOf(key) > -1) ? (m_sep + m_key + '=' + encodeURIComponent(mask)) : m_all;
+		} );
+	}
+
+	redactHeaders(headers) {
+		// copy headers with chosen ones masked
+		var mask = this.logRedact.mask;
+		var names = this.logRedact.redactHeaders.map( function(name) { return name.toLowerCase(); } );
+		var out = {};
+
+		for (var key in headers || {}) {
+			out[key] = (names.indexOf(key.toLowerCase()) > -1) ? mask : headers[key];
+		}
+		return out;
+	}
+
+	redactBody(data, headers) {
+		// get loggable copy of request body with chosen fields masked (JSON and urlencoded only)
+		if ((data === null) || (data === undefined)) return undefined;
+		if (!Buffer.isBuffer(data) && (typeof(data) != 'string')) return undefined;
+		if (data.length > 65536) return undefined; // too large to log
+
+		var type = '';
+		for (var key in headers || {}) {
+			if (key.toLowerCase() == 'content-type') type = '' + headers[key];
+		}
+
+		var fields = this.logRedact.redactFields.map( function(field) { return field.toLowerCase(); } );
+		var mask = this.logRedact.mask;
+		var text = data.toString();
+
+		if (type.match(/json/i)) {
+			try { return redactFields( JSON.parse(text), fields, mask ); }
+			catch (e) { return undefined; }
+		}
+		if (type.match(/x-www-form-urlencoded/i)) {
+			return redactFields( { ...querystring.parse(text) }, fields, mask );
+		}
+		return undefined;
+	}
+
+};
+
+function redactFields(obj, fields, mask) {
+	// recursively mask chosen fields in object (case-insensitive)
+	if (Array.isArray(obj)) return obj.map( function(item) { return redactFields(item, fields, mask); } );
+	if (!obj || (typeof(obj) != 'object')) return obj;
+
+	var out = {};
+	for (var key in obj) {
+		out[key] = (fields.indexOf(key.toLowerCase()) > -1) ? mask : redactFields( obj[key], fields, mask );
+	}
+	return out;
+};
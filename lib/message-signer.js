@@ -0,0 +1,341 @@
+// HTTP Message Signatures (RFC 9421) for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const crypto = require('crypto');
+const Class = require('class-plus');
+const { getHeader, deleteHeader, hostHeader, quoteString } = require('./headers.js');
+
+// supported content digest algorithms (RFC 9530)
+const digestAlgorithms = { 'sha-256': 'sha256', 'sha-512': 'sha512' };
+
+module.exports = Class({
+
+	// key identifier, sent as keyid parameter
+	keyId: '',
+
+	// hmac-sha256, ed25519, rsa-pss-sha512, rsa-v1_5-sha256 or ecdsa-p256-sha256
+	algorithm: 'hmac-sha256',
+
+	// shared secret for hmac, or private key (KeyObject or PEM) for everything else
+	key: null,
+
+	// covered components (derived components and lowercase header names)
+	components: ['@method', '@target-uri', 'content-digest'],
+
+	// signature label
+	label: 'sig1',
+
+	// add alg parameter to signature
+	includeAlg: false,
+
+	// signatures expire after this many seconds (0 for none)
+	expires: 0,
+
+	// add random nonce parameter to signature
+	nonce: false,
+
+	// optional tag parameter
+	tag: '',
+
+	// verify signatures on responses (see setSigner)
+	verifyResponses: false,
+
+	// key for verifying (public key, or shared secret for hmac), defaults to key for hmac
+	verifyKey: null,
+	verifyAlgorithm: '',
+
+	// only accept signatures with this keyid and/or label
+	verifyKeyId: '',
+	verifyLabel: '',
+
+	// components which must be covered by signatures we verify (defaults to content-digest if there is a body)
+	verifyComponents: null,
+
+	// reject signatures created more than this many seconds ago (0 to disable)
+	maxAge: 300
+
+},
+class MessageSigner {
+
+	constructor(opts) {
+		// class constructor, opts: see properties above
+		if (opts) {
+			for (var key in opts) this[key] = opts[key];
+		}
+	}
+
+	sign(msg) {
+		// sign message in place, by adding Signature-Input and Signature (and Content-Digest if covered)
+		// msg: { method, url, host, path, status, headers, body, date }
+		var headers = msg.headers;
+		var components = this.components.map( function(name) { return name.toLowerCase(); } );
+
+		['Signature', 'Signature-Input'].forEach( function(name) { deleteHeader(headers, name); } );
+
+		if (components.indexOf('content-digest') > -1) {
+			deleteHeader( headers, 'Content-Digest' );
+			var body = msg.body;
+
+			if ((body === null) || (body === undefined)) {
+				// nothing to digest
+				components = components.filter( function(name) { return name != 'content-digest'; } );
+			}
+			else if (Buffer.isBuffer(body) || (typeof(body) == 'string')) {
+				headers['Content-Digest'] = 'sha-256=:' + crypto.createHash('sha256').update( body ).digest('base64') + ':';
+			}
+			else throw new Error("Cannot compute Content-Digest for a streamed body");
+		}
+
+		var created = Math.floor( (msg.date || new Date()).getTime() / 1000 );
+		var params = ';created=' + created;
+		if (this.expires) params += ';expires=' + (created + this.expires);
+		if (this.nonce) params += ';nonce=' + quoteString( crypto.randomBytes(16).toString('base64') );
+		if (this.includeAlg) params += ';alg=' + quoteString( this.algorithm );
+		if (this.keyId) params += ';keyid=' + quoteString( this.keyId );
+		if (this.tag) params += ';tag=' + quoteString( this.tag );
+
+		var signature_params = '(' + components.map( quoteString ).join(' ') + ')' + params;
+		var base = signatureBase( msg, components, signature_params );
+		var signature = createSignature( this.algorithm, this.key, base );
+
+		headers['Signature-Input'] = this.label + '=' + signature_params;
+		headers['Signature'] = this.label + '=:' + signature.toString('base64') + ':';
+	}
+
+	verify(msg) {
+		// verify signature on message, throws error with code ESIGNATURE on failure
+		// msg: { method, url, host, path, status, headers, body }, returns { label, keyid, created, components }
+		var self = this;
+		var inputs = parseDictionary( getHeader(msg.headers, 'Signature-Input') || '' );
+		var signatures = parseDictionary( getHeader(msg.headers, 'Signature') || '' );
+
+		// find signature to check
+		var label = Object.keys(inputs).find( function(label) {
+			if (self.verifyLabel && (label != self.verifyLabel)) return false;
+			if (self.verifyKeyId && (inputs[label].params.keyid != self.verifyKeyId)) return false;
+			return !!signatures[label];
+		} );
+		if (!label) throw signatureError( "No matching signature found" );
+
+		var input = inputs[label];
+		var params = input.params;
+		if (!Array.isArray(input.value) || !Buffer.isBuffer(signatures[label].value)) throw signatureError( "Malformed signature: " + label );
+
+		var components = input.value;
+		var required = this.verifyComponents;
+		if (!required) required = (msg.body && msg.body.length) ? ['content-digest'] : [];
+		required.forEach( function(name) {
+			if (components.indexOf(name.toLowerCase()) == -1) throw signatureError( "Signature does not cover required component: " + name );
+		} );
+
+		var now = Date.now() / 1000;
+		if (params.expires && (params.expires < now)) throw signatureError( "Signature has expired" );
+		if (this.maxAge && params.created && (params.created < now - this.maxAge)) throw signatureError( "Signature is too old" );
+
+		// algorithm comes from our config only, as the alg parameter is chosen by the signer
+		var algorithm = this.verifyAlgorithm || this.algorithm;
+		if (params.alg && (params.alg != algorithm)) throw signatureError( "Unexpected signature algorithm: " + params.alg );
+
+		// check content digest against body, if we have it
+		if ((components.indexOf('content-digest') > -1) && Buffer.isBuffer(msg.body)) {
+			var digests = parseDictionary( getHeader(msg.headers, 'Content-Digest') || '' );
+			var matched = false;
+			for (var alg in digests) {
+				if (!digestAlgorithms[alg] || !Buffer.isBuffer(digests[alg].value)) continue;
+				if (!crypto.createHash( digestAlgorithms[alg] ).update( msg.body ).digest().equals( digests[alg].value )) {
+					throw signatureError( "Content-Digest does not match body" );
+				}
+				matched = true;
+			}
+			if (!matched) throw signatureError( "No supported Content-Digest found" );
+		}
+
+		var base = signatureBase( msg, components, input.raw );
+		var key = this.verifyKey || this.key;
+
+		try {
+			if (!verifySignature( algorithm, key, base, signatures[label].value )) throw signatureError( "Signature verification failed" );
+		}
+		catch (err) {
+			throw signatureError( err.message );
+		}
+
+		return { label: label, keyid: params.keyid || '', created: params.created || 0, components: components };
+	}
+
+});
+
+function signatureBase(msg, components, signature_params) {
+	// build signature base from covered components and serialized signature params
+	var lines = components.map( function(name) {
+		return quoteString(name) + ': ' + componentValue( msg, name );
+	} );
+	lines.push( '"@signature-params": ' + signature_params );
+	return lines.join("\n");
+};
+
+function componentValue(msg, name) {
+	// get value of derived component or header
+	if (name.match(/^@/)) {
+		var parts = require('url').parse( msg.url || '' );
+		switch (name) {
+			case '@method': return (msg.method || 'GET').toUpperCase();
+			case '@target-uri': return msg.url;
+			case '@authority': return (msg.host || hostHeader(parts)).toLowerCase();
+			case '@scheme': return (parts.protocol || '').replace(/:$/, '').toLowerCase();
+			case '@request-target': return msg.path || parts.path;
+			case '@path': return (msg.path || parts.path || '/').replace(/\?.*$/, '');
+			case '@query': return '?' + ((msg.path || parts.path || '').match(/\?(.*)$/) || ['', ''])[1];
+			case '@status':
+				if (!msg.status) throw signatureError( "Component @status is only available for responses" );
+				return '' + msg.status;
+		}
+		throw signatureError( "Unsupported signature component: " + name );
+	}
+
+	var value = getHeader( msg.headers, name );
+	if (value === null) throw signatureError( "Covered header is missing: " + name );
+	return value;
+};
+
+function createSignature(algorithm, key, base) {
+	// sign signature base with key
+	var data = Buffer.from(base, 'utf8');
+	switch (algorithm) {
+		case 'hmac-sha256': return crypto.createHmac('sha256', secretKey(key)).update( data ).digest();
+		case 'ed25519': return crypto.sign( null, data, key );
+		case 'rsa-pss-sha512': return crypto.sign( 'sha512', data, { key: key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 } );
+		case 'rsa-v1_5-sha256': return crypto.sign( 'sha256', data, key );
+		case 'ecdsa-p256-sha256': return crypto.sign( 'sha256', data, { key: key, dsaEncoding: 'ieee-p1363' } );
+	}
+	throw new Error("Unsupported signature algorithm: " + algorithm);
+};
+
+function verifySignature(algorithm, key, base, signature) {
+	// check signature of signature base with key, returns true if valid
+	var data = Buffer.from(base, 'utf8');
+	switch (algorithm) {
+		case 'hmac-sha256':
+			var expected = crypto.createHmac('sha256', secretKey(key)).update( data ).digest();
+			return (expected.length == signature.length) && crypto.timingSafeEqual( expected, signature );
+		case 'ed25519': return crypto.verify( null, data, key, signature );
+		case 'rsa-pss-sha512': return crypto.verify( 'sha512', data, { key: key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 }, signature );
+		case 'rsa-v1_5-sha256': return crypto.verify( 'sha256', data, key, signature );
+		case 'ecdsa-p256-sha256': return crypto.verify( 'sha256', data, { key: key, dsaEncoding: 'ieee-p1363' }, signature );
+	}
+	throw new Error("Unsupported signature algorithm: " + algorithm);
+};
+
+function secretKey(key) {
+	// make sure hmac key is a shared secret, and not a public or private key (which would allow forgeries)
+	if (!key) throw new Error("No key for hmac-sha256");
+	if (key instanceof crypto.KeyObject) {
+		if (key.type != 'secret') throw new Error("Cannot use " + key.type + " key for hmac-sha256");
+		return key;
+	}
+	if (('' + key).match(/\-\-\-\-\-BEGIN /)) throw new Error("Cannot use PEM key for hmac-sha256");
+	return key;
+};
+
+function parseDictionary(header) {
+	// parse structured field dictionary (RFC 8941), as used by Signature-Input, Signature and Content-Digest
+	// returns { key: { value, params, raw } } where value is an array of strings, a buffer or a bare item
+	var out = {};
+	var idx = 0;
+	var len = header.length;
+
+	var skipSpace = function() {
+		while ((idx < len) && header[idx].match(/\s/)) idx++;
+	};
+
+	var parseItem = function() {
+		// string, byte sequence, integer or token
+		var matches;
+		if (header[idx] == '"') {
+			var value = '';
+			idx++;
+			while ((idx < len) && (header[idx] != '"')) {
+				if (header[idx] == '\\') idx++;
+				value += header[idx++];
+			}
+			idx++;
+			return value;
+		}
+		if (header[idx] == ':') {
+			var end = header.indexOf(':', idx + 1);
+			if (end == -1) throw signatureError( "Malformed structured field: " + header );
+			var bytes = Buffer.from( header.substring(idx + 1, end), 'base64' );
+			idx = end + 1;
+			return bytes;
+		}
+		if ((matches = header.substring(idx).match(/^\-?\d+(\.\d+)?/))) {
+			idx += matches[0].length;
+			return parseFloat( matches[0] );
+		}
+		if ((matches = header.substring(idx).match(/^[A-Za-z\*][\w\:\/\!\#\$\%\&\'\*\+\-\.\^\`\|\~]*/))) {
+			idx += matches[0].length;
+			return matches[0];
+		}
+		throw signatureError( "Malformed structured field: " + header );
+	};
+
+	var parseParams = function() {
+		var params = {};
+		while (header[idx] == ';') {
+			idx++;
+			skipSpace();
+			var matches = header.substring(idx).match(/^[a-z\*][a-z0-9_\-\.\*]*/);
+			if (!matches) throw signatureError( "Malformed structured field: " + header );
+			idx += matches[0].length;
+			if (header[idx] == '=') { idx++; params[ matches[0] ] = parseItem(); }
+			else params[ matches[0] ] = true;
+		}
+		return params;
+	};
+
+	while (idx < len) {
+		skipSpace();
+		var matches = header.substring(idx).match(/^[a-z\*][a-z0-9_\-\.\*]*/);
+		if (!matches) break;
+		var key = matches[0];
+		idx += key.length;
+
+		var start = idx + 1;
+		var value = true;
+
+		if (header[idx] == '=') {
+			idx++;
+			start = idx;
+			if (header[idx] == '(') {
+				// inner list of items (we only support strings without params)
+				value = [];
+				idx++;
+				skipSpace();
+				while ((idx < len) && (header[idx] != ')')) {
+					var item = parseItem();
+					if (header[idx] == ';') throw signatureError( "Unsupported component parameters in: " + header );
+					value.push( item );
+					skipSpace();
+				}
+				idx++;
+			}
+			else value = parseItem();
+		}
+
+		var params = parseParams();
+		out[key] = { value: value, params: params, raw: header.substring(start, idx) };
+
+		skipSpace();
+		if (header[idx] == ',') idx++;
+	}
+
+	return out;
+};
+
+function signatureError(msg) {
+	// create error for failed signature verification
+	var err = new Error( msg );
+	err.code = 'ESIGNATURE';
+	return err;
+};
@@ -0,0 +1,211 @@
+// Aggregated request metrics with Prometheus exposition for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+// perf phases which are tracked, in request order
+const metricPhases = ['queue', 'throttle', 'dns', 'connect', 'send', 'wait', 'receive', 'decompress'];
+
+module.exports = class Metrics {
+
+	setMetrics(opts) {
+		// start collecting aggregated metrics (true or options), or false to stop
+		// opts: { buckets, sizeBuckets, prefix }
+		if (!opts) { this.metrics = false; return; }
+		if (opts === true) opts = {};
+
+		this.metrics = {
+			buckets: [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000],
+			sizeBuckets: [100, 1000, 10000, 100000, 1000000, 10000000, 100000000],
+			prefix: 'pixl_request',
+			...opts,
+			series: {}
+		};
+	}
+
+	resetMetrics() {
+		// discard all collected metrics
+		if (this.metrics) this.metrics.series = {};
+	}
+
+	recordMetrics(url, err, res, perf) {
+		// aggregate perf from completed request into histograms for host and status class
+		var metrics = this.metrics;
+		var host = require('url').parse(url).host || '';
+		var status = res ? (Math.floor(res.statusCode / 100) + 'xx') : 'error';
+		var key = host + ' ' + status;
+
+		var series = metrics.series[key];
+		if (!series) series = metrics.series[key] = { host: host, status: status, requests: 0, retries: 0, redirects: 0, histograms: {} };
+		series.requests++;
+		if (!perf) return;
+
+		var counters = perf.counters || {};
+		series.retries += counters.retries || 0;
+		series.redirects += counters.redirects || 0;
+
+		var observe = function(name, buckets, value) {
+			var hist = series.histograms[name];
+			if (!hist) hist = series.histograms[name] = { counts: buckets.map( function() { return 0; } ), inf: 0, count: 0, sum: 0, min: value, max: value };
+
+			var idx = buckets.findIndex( function(bound) { return value <= bound; } );
+			if (idx > -1) hist.counts[idx]++;
+			else hist.inf++;
+
+			hist.count++;
+			hist.sum += value;
+			hist.min = Math.min( hist.min, value );
+			hist.max = Math.max( hist.max, value );
+		};
+
+		var p = perf.perf;
+		if (p[perf.totalKey] && p[perf.totalKey].end) observe( 'total', metrics.buckets, p[perf.totalKey].elapsed );
+		metricPhases.forEach( function(phase) {
+			if (p[phase] && p[phase].end) observe( phase, metrics.buckets, p[phase].elapsed || 0 );
+		} );
+
+		if ('bytes_sent' in counters) observe( 'bytes_sent', metrics.sizeBuckets, counters.bytes_sent );
+		if ('bytes_received' in counters) observe( 'bytes_received', metrics.sizeBuckets, counters.bytes_received );
+	}
+
+	getMetrics() {
+		// get JSON snapshot of all metrics, with estimated percentiles (times in ms, sizes in bytes)
+		var metrics = this.metrics;
+		if (!metrics) return { series: [] };
+
+		return {
+			buckets: metrics.buckets.slice(),
+			sizeBuckets: metrics.sizeBuckets.slice(),
+			series: sortedSeries(metrics).map( function(series) {
+				var out = { host: series.host, status: series.status, requests: series.requests, retries: series.retries, redirects: series.redirects, metrics: {} };
+
+				for (var name in series.histograms) {
+					var hist = series.histograms[name];
+					var bounds = name.match(/^bytes_/) ? metrics.sizeBuckets : metrics.buckets;
+					var buckets = {};
+					var total = 0;
+					bounds.forEach( function(bound, idx) { total += hist.counts[idx]; buckets[bound] = total; } );
+					buckets['+Inf'] = hist.count;
+
+					out.metrics[name] = {
+						count: hist.count,
+						sum: round( hist.sum ),
+						min: round( hist.min ),
+						max: round( hist.max ),
+						avg: round( hist.sum / hist.count ),
+						p50: percentile( hist, bounds, 0.5 ),
+						p90: percentile( hist, bounds, 0.9 ),
+						p95: percentile( hist, bounds, 0.95 ),
+						p99: percentile( hist, bounds, 0.99 ),
+						buckets: buckets
+					};
+				}
+				return out;
+			} )
+		};
+	}
+
+	getPrometheusMetrics() {
+		// render all metrics in Prometheus text exposition format (times in seconds)
+		var metrics = this.metrics;
+		if (!metrics) return '';
+
+		var prefix = metrics.prefix;
+		var all_series = sortedSeries(metrics);
+		var lines = [];
+
+		var histogramRows = function(hist_name, extra) {
+			// get histogram and labels for all series which have it
+			return all_series.filter( function(series) { return !!series.histograms[hist_name]; } ).map( function(series) {
+				return { hist: series.histograms[hist_name], labels: labelPairs(series, extra) };
+			} );
+		};
+
+		var writeHistogram = function(name, help, rows, bounds, scale) {
+			// write histogram family, values are divided by scale
+			if (!rows.length) return;
+			lines.push( '# HELP ' + name + ' ' + help );
+			lines.push( '# TYPE ' + name + ' histogram' );
+
+			rows.forEach( function(row) {
+				var hist = row.hist;
+				var total = 0;
+
+				bounds.forEach( function(bound, idx) {
+					total += hist.counts[idx];
+					lines.push( name + '_bucket{' + row.labels + ',le="' + (bound / scale) + '"} ' + total );
+				} );
+				lines.push( name + '_bucket{' + row.labels + ',le="+Inf"} ' + hist.count );
+				lines.push( name + '_sum{' + row.labels + '} ' + round(hist.sum / scale, 6) );
+				lines.push( name + '_count{' + row.labels + '} ' + hist.count );
+			} );
+		};
+
+		var writeCounter = function(name, help, prop) {
+			// write counter family for all series
+			if (!all_series.length) return;
+			lines.push( '# HELP ' + name + ' ' + help );
+			lines.push( '# TYPE ' + name + ' counter' );
+			all_series.forEach( function(series) {
+				lines.push( name + '{' + labelPairs(series) + '} ' + series[prop] );
+			} );
+		};
+
+		writeCounter( prefix + '_requests_total', "Total number of requests.", 'requests' );
+		writeCounter( prefix + '_retries_total', "Total number of retries.", 'retries' );
+		writeCounter( prefix + '_redirects_total', "Total number of redirects followed.", 'redirects' );
+
+		writeHistogram( prefix + '_duration_seconds', "Total request latency, including all redirects and retries.", histogramRows('total'), metrics.buckets, 1000 );
+
+		var phase_rows = [];
+		metricPhases.forEach( function(phase) {
+			phase_rows = phase_rows.concat( histogramRows(phase, { phase: phase }) );
+		} );
+		writeHistogram( prefix + '_phase_duration_seconds', "Time spent in each phase of the request.", phase_rows, metrics.buckets, 1000 );
+
+		writeHistogram( prefix + '_sent_bytes', "Raw bytes sent over the socket, including headers.", histogramRows('bytes_sent'), metrics.sizeBuckets, 1 );
+		writeHistogram( prefix + '_received_bytes', "Raw bytes received over the socket, including headers.", histogramRows('bytes_received'), metrics.sizeBuckets, 1 );
+
+		return lines.length ? (lines.join("\n") + "\n") : '';
+	}
+
+};
+
+function sortedSeries(metrics) {
+	// get all series sorted by host then status class
+	return Object.keys(metrics.series).sort().map( function(key) { return metrics.series[key]; } );
+};
+
+function labelPairs(series, extra) {
+	// format prometheus labels for series, plus optional extra labels
+	var labels = { host: series.host, status: series.status, ...(extra || {}) };
+	return Object.keys(labels).map( function(key) {
+		return key + '="' + ('' + labels[key]).replace(/\\/g, "\\\\").replace(/\"/g, "\\\"").replace(/\n/g, "\\n") + '"';
+	} ).join(',');
+};
+
+function percentile(hist, bounds, pct) {
+	// estimate percentile from histogram buckets, using linear interpolation within bucket
+	var rank = pct * hist.count;
+	var total = 0;
+	var lower = 0;
+
+	for (var idx = 0; idx <= bounds.length; idx++) {
+		var count = (idx < bounds.length) ? hist.counts[idx] : hist.inf;
+		var upper = (idx < bounds.length) ? bounds[idx] : hist.max;
+
+		if (count && (total + count >= rank)) {
+			// clamp to observed range, as buckets may be much wider
+			var value = lower + ((upper - lower) * ((rank - total) / count));
+			return round( Math.min( hist.max, Math.max( hist.min, value ) ) );
+		}
+		total += count;
+		lower = upper;
+	}
+	return round( hist.max );
+};
+
+function round(value, places) {
+	// round to 3 decimal places by default
+	var factor = Math.pow( 10, places || 3 );
+	return Math.round( value * factor ) / factor;
+};
@@ -0,0 +1,134 @@
+// OAuth2 access token provider for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const Class = require('class-plus');
+
+module.exports = Class({
+
+	// token endpoint URL
+	tokenUrl: '',
+
+	// client credentials
+	clientId: '',
+	clientSecret: '',
+
+	// send client credentials using basic auth ('basic') or in the form body ('body')
+	authMethod: 'basic',
+
+	// optional scope (string or array)
+	scope: '',
+
+	// optional refresh token, which selects the refresh_token grant
+	refreshToken: '',
+
+	// grant type, defaults to refresh_token if we have one, otherwise client_credentials
+	grantType: '',
+
+	// optional extra form params for the token request, e.g. { audience }
+	params: null,
+
+	// refresh tokens this many seconds before they expire
+	expiryMargin: 60,
+
+	// pixl-request instance for fetching tokens (set by setAuthProvider)
+	request: null,
+
+	// current token and its expiration (epoch ms, 0 for none)
+	accessToken: '',
+	expires: 0,
+
+	// callbacks waiting on in-flight token fetch
+	pending: null
+
+},
+class OAuth2 {
+
+	constructor(opts) {
+		// class constructor, opts: { tokenUrl, clientId, clientSecret, authMethod, scope, refreshToken, grantType, params, expiryMargin, request }
+		if (opts) {
+			for (var key in opts) this[key] = opts[key];
+		}
+	}
+
+	getToken(callback) {
+		// get cached access token, or fetch a new one (concurrent callers share a single fetch)
+		var self = this;
+
+		if (this.accessToken && (!this.expires || (Date.now() < this.expires))) {
+			return process.nextTick( function() { callback( null, self.accessToken ); } );
+		}
+
+		if (this.pending) { this.pending.push( callback ); return; }
+		this.pending = [ callback ];
+
+		this.fetchToken( function(err, token) {
+			var pending = self.pending;
+			self.pending = null;
+			pending.forEach( function(cb) { cb( err, token ); } );
+		} );
+	}
+
+	invalidateToken(token) {
+		// discard cached token (only if it is still the given one, so concurrent failures refresh once)
+		if (token && (token !== this.accessToken)) return;
+		this.accessToken = '';
+		this.expires = 0;
+	}
+
+	fetchToken(callback) {
+		// request new access token from token endpoint, and cache it
+		var self = this;
+		var grant_type = this.grantType || (this.refreshToken ? 'refresh_token' : 'client_credentials');
+		var params = { grant_type: grant_type };
+		var headers = { 'Accept': 'application/json' };
+
+		if (grant_type == 'refresh_token') params.refresh_token = this.refreshToken;
+		if (this.scope) params.scope = [].concat( this.scope ).join(' ');
+		if (this.params) Object.assign( params, this.params );
+
+		if (this.clientId) {
+			if (this.authMethod == 'body') {
+				params.client_id = this.clientId;
+				if (this.clientSecret) params.client_secret = this.clientSecret;
+			}
+			else {
+				// credentials are form-encoded before being base64-encoded, as per RFC 6749
+				var creds = encodeURIComponent(this.clientId) + ':' + encodeURIComponent(this.clientSecret || '');
+				headers['Authorization'] = 'Basic ' + Buffer.from(creds).toString('base64');
+			}
+		}
+
+		var request = this.request || new (require('../request.js'))();
+
+		request.post( this.tokenUrl, { data: params, headers: headers, authProvider: false }, function(err, res, data) {
+			if (err) return callback( err );
+
+			var json = null;
+			try { json = JSON.parse( data.toString() ); }
+			catch (err) {}
+
+			if (!res.statusCode.toString().match(/^2\d\d$/) || !json || !json.access_token) {
+				var msg = "OAuth2 token request failed: HTTP " + res.statusCode + " " + res.statusMessage;
+				if (json && json.error) msg += ": " + json.error + (json.error_description ? (": " + json.error_description) : '');
+
+				err = new Error( msg );
+				err.code = 'EOAUTH';
+				err.resp = res;
+				return callback( err );
+			}
+
+			self.accessToken = json.access_token;
+
+			// refresh early, but never before half the lifetime has passed
+			var expires_in = parseInt( json.expires_in ) || 0;
+			self.expires = expires_in ? (Date.now() + (Math.max( expires_in - self.expiryMargin, expires_in / 2 ) * 1000)) : 0;
+
+			// servers may rotate refresh tokens
+			if ((grant_type == 'refresh_token') && json.refresh_token) self.refreshToken = json.refresh_token;
+
+			callback( null, self.accessToken );
+		} );
+	}
+
+});
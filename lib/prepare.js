@@ -0,0 +1,98 @@
+// Prepared requests and dry-run mode for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const FormData = require('form-data');
+const PreparedRequest = require('./prepared-request.js');
+const { extractUrlHeaders } = require('./headers.js');
+
+module.exports = class Prepare {
+
+	setDryRun(enabled) {
+		// prepare requests without sending them (callbacks receive an EDRYRUN error)
+		this.dryRun = enabled;
+	}
+
+	prepare(url, options) {
+		// run all option handling for a request without sending it, returns PreparedRequest
+		// options are the same as for post(), and are not modified
+		options = { ...(options || {}) };
+		options.headers = { ...(options.headers || {}) };
+		var multipart = null;
+
+		if (options.data || options.files) {
+			var data = options.data;
+			if (data && (typeof(data) == 'object') && !Buffer.isBuffer(data) && !(data instanceof FormData) && !data.pipe) {
+				// [data:] directives add keys to the data object, so copy it first
+				options.data = data = { ...data };
+			}
+			if (options.files || options.multipart) {
+				if (!data) options.data = data = {};
+				multipart = { data: data, files: options.files || {} };
+			}
+
+			url = this.serializeData( url, options );
+		}
+
+		var prepared = this.prepareRequest( url, options );
+		prepared.multipart = multipart;
+		return prepared;
+	}
+
+	prepareRequest(url, options) {
+		// apply request defaults and headers the same way as request(), returns PreparedRequest
+		options = { ...this.defaultOptions, ...options };
+		var headers = { ...(options.headers || {}) };
+
+		for (var key in this.defaultHeaders) {
+			if (!(key in headers)) headers[key] = this.defaultHeaders[key];
+		}
+
+		// allow URL to include headers e.g. [header: Cookie: foo=bar]
+		url = extractUrlHeaders( url, headers );
+
+		var parts = require('url').parse(url);
+		var method = (options.method || 'GET').toUpperCase();
+		var opts = { headers: headers };
+
+		var applied = this.applyRequestHeaders( opts, {
+			url: url,
+			site: url,
+			method: method,
+			path: options.path || parts.path,
+			body: ('data' in options) ? options.data : null,
+			auth: options.auth || parts.auth || null,
+			digestOrigin: parts.protocol + '//' + parts.host,
+			digestChallenge: null,
+			digestOnly: ('digestAuth' in options) ? options.digestAuth : this.digestAuth,
+			idempotencyKey: ('idempotencyKey' in options) ? options.idempotencyKey : this.idempotencyKey,
+			cookieJar: ('cookieJar' in options) ? options.cookieJar : this.cookieJar
+		} );
+		var body = applied.body;
+		headers = opts.headers;
+
+		var signer = ('signer' in options) ? options.signer : this.signer;
+		if (signer) this.signRequest( signer, url, { method: method, headers: headers }, body );
+
+		return new PreparedRequest({
+			method: method,
+			url: url,
+			headers: headers,
+			body: body,
+			follow: ('follow' in options) ? options.follow : this.defaultFollow,
+			insecure: (options.rejectUnauthorized === false)
+		});
+	}
+
+	dryRunRequest(url, options, callback) {
+		// prepare request instead of sending it, and fail with the prepared request attached
+		var prepared = this.prepareRequest( url, { ...options, headers: { ...(options.headers || {}) } } );
+
+		var err = new Error("Dry Run: " + prepared.method + " " + prepared.url);
+		err.code = 'EDRYRUN';
+		err.prepared = prepared;
+
+		process.nextTick( function() { callback( err ); } );
+	}
+
+};
@@ -0,0 +1,109 @@
+// Prepared request with cURL export for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const Class = require('class-plus');
+
+module.exports = Class({
+
+	// final request method and url
+	method: 'GET',
+	url: '',
+
+	// final request headers
+	headers: null,
+
+	// serialized body: buffer, FormData, stream or null
+	body: null,
+
+	// original fields and files for multipart bodies, used for cURL export
+	multipart: null,
+
+	// redirect and TLS settings, used for cURL export
+	follow: false,
+	insecure: false
+
+},
+class PreparedRequest {
+
+	constructor(props) {
+		// class constructor, props: { method, url, headers, body, multipart, follow, insecure }
+		this.headers = {};
+		if (props) {
+			for (var key in props) this[key] = props[key];
+		}
+	}
+
+	toCurl(opts) {
+		// render as equivalent curl command line
+		// opts: { multiline }
+		if (!opts) opts = {};
+		var args = ['curl'];
+		var prefix = '';
+		var body = this.body;
+
+		if (this.method == 'HEAD') args.push('--head');
+		else if ((this.method != 'GET') || body) args.push('-X ' + this.method);
+
+		args.push( shellQuote(this.url) );
+
+		for (var key in this.headers) {
+			// curl computes the length itself, and multipart boundaries are generated by curl
+			if (key.match(/^content-length$/i)) continue;
+			if (this.multipart && key.match(/^content-type$/i)) continue;
+			[].concat( this.headers[key] ).forEach( function(value) {
+				args.push( '-H ' + shellQuote(key + ': ' + value) );
+			} );
+			if (key.match(/^accept-encoding$/i)) args.push('--compressed');
+		}
+
+		if (this.multipart) {
+			var fields = this.multipart.data || {};
+			// plain fields use --form-string, so values starting with @ or < are not read as files
+			for (key in fields) args.push( '--form-string ' + shellQuote(key + '=' + fields[key]) );
+
+			var files = this.multipart.files || {};
+			for (key in files) {
+				var file = files[key];
+				var path = Array.isArray(file) ? file[0] : file;
+				var value = key + '=@' + ((typeof(path) == 'string') ? path : 'FILE');
+				if (Array.isArray(file) && file[1]) value += ';filename=' + file[1];
+				args.push( '-F ' + shellQuote(value) );
+			}
+		}
+		else if (Buffer.isBuffer(body)) {
+			var text = body.toString('utf8');
+			if (Buffer.from(text, 'utf8').equals(body) && !text.match(/[\x00-\x08\x0B\x0C\x0E-\x1F]/)) {
+				args.push( '--data-binary ' + shellQuote(text) );
+			}
+			else {
+				// binary body is piped in via base64
+				prefix = 'echo ' + body.toString('base64') + ' | base64 -d | ';
+				args.push( '--data-binary @-' );
+			}
+		}
+		else if (body) {
+			// streams cannot be rendered, so read body from stdin
+			args.push( '--data-binary @-' );
+		}
+
+		if (this.follow) {
+			args.push('-L');
+			if (typeof(this.follow) == 'number') args.push('--max-redirs ' + this.follow);
+		}
+		if (this.insecure) args.push('-k');
+
+		return prefix + args.join( opts.multiline ? " \\\n  " : " " );
+	}
+
+	toString() {
+		// render as curl command line
+		return this.toCurl();
+	}
+
+});
+
+function shellQuote(value) {
+	// quote value for POSIX shell
+	return "'" + ('' + value).replace(/'/g, "'\\''") + "'";
+};
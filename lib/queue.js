@@ -0,0 +1,146 @@
+// Concurrency limits and request queue for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const Perf = require('pixl-perf');
+
+module.exports = class Queue {
+
+	setMaxConcurrent(max) {
+		// limit total number of concurrent requests (0 = unlimited)
+		this.maxConcurrent = max;
+		this.processQueue();
+	}
+
+	setMaxConcurrentPerHost(max) {
+		// limit number of concurrent requests per host (0 = unlimited)
+		this.maxConcurrentPerHost = max;
+		this.processQueue();
+	}
+
+	setQueueTimeout(timeout) {
+		// max time a request may wait in the queue (ms, 0 = forever)
+		this.queueTimeout = timeout;
+	}
+
+	setMaxQueueLength(max) {
+		// max number of queued requests, new requests fail when full (0 = unlimited)
+		this.maxQueueLength = max;
+	}
+
+	queueRequest(url, options, callback) {
+		// wait for a free slot if concurrency is limited, then throttle and send request
+		// redirect and retry hops reuse the slot held by the original request
+		var self = this;
+		if ((!this.maxConcurrent && !this.maxConcurrentPerHost) || options.perf) {
+			return this.throttleRequest( url, options, callback );
+		}
+
+		if (!this.queue) this.queue = [];
+		if (!this.queueActiveHosts) this.queueActiveHosts = {};
+
+		options = { ...options };
+
+		var priority = options.priority || 0;
+		delete options.priority;
+
+		var timeout = this.queueTimeout;
+		if ('queueTimeout' in options) {
+			timeout = options.queueTimeout;
+			delete options.queueTimeout;
+		}
+
+		if (this.maxQueueLength && (this.queue.length >= this.maxQueueLength)) {
+			var err = new Error("Queue Full: Too many pending requests (" + this.queue.length + ")");
+			err.code = 'EQUEUEFULL';
+			return callback( err );
+		}
+
+		// queue time counts towards the total
+		var perf = new Perf();
+		perf.begin();
+		perf.begin('queue');
+
+		var item = {
+			host: require('url').parse(url).host,
+			priority: priority,
+			timer: null,
+			signal: options.signal || null,
+			aborter: null
+		};
+
+		var dequeue = function(err) {
+			// remove item from queue, and fail request
+			var idx = self.queue.indexOf(item);
+			if (idx > -1) self.queue.splice(idx, 1);
+			if (item.timer) clearTimeout(item.timer);
+			if (item.signal) item.signal.removeEventListener('abort', item.aborter);
+			perf.end('queue');
+			callback( err, null, null, perf );
+		};
+
+		item.run = function() {
+			// got a slot, send request and release slot when it completes
+			if (item.timer) clearTimeout(item.timer);
+			if (item.signal) item.signal.removeEventListener('abort', item.aborter);
+			perf.end('queue');
+			options.perf = perf;
+
+			self.throttleRequest( url, options, function(err, res, data, perf) {
+				self.releaseQueue( item.host );
+				callback( err, res, data, perf );
+			} );
+		};
+
+		if (timeout) {
+			item.timer = setTimeout( function() {
+				var err = new Error("Queue Timeout (" + timeout + " ms)");
+				err.code = 'EQUEUETIMEOUT';
+				dequeue( err );
+			}, timeout );
+		}
+
+		if (item.signal) {
+			item.aborter = function() { dequeue( new Error("Request Aborted") ); };
+			if (item.signal.aborted) return item.aborter();
+			item.signal.addEventListener('abort', item.aborter, { once: true });
+		}
+
+		// insert by priority (higher first), then FIFO
+		var idx = this.queue.findIndex( function(other) { return other.priority < priority; } );
+		if (idx == -1) this.queue.push( item );
+		else this.queue.splice( idx, 0, item );
+
+		this.processQueue();
+	}
+
+	processQueue() {
+		// start queued requests while slots are available
+		if (!this.queue) return;
+		var hosts = this.queueActiveHosts;
+		var items = [];
+
+		for (var idx = 0; idx < this.queue.length; idx++) {
+			if (this.maxConcurrent && (this.queueActive >= this.maxConcurrent)) break;
+
+			var item = this.queue[idx];
+			if (this.maxConcurrentPerHost && ((hosts[item.host] || 0) >= this.maxConcurrentPerHost)) continue;
+
+			this.queue.splice(idx--, 1);
+			this.queueActive = (this.queueActive || 0) + 1;
+			hosts[item.host] = (hosts[item.host] || 0) + 1;
+			items.push( item );
+		}
+
+		// start requests after the queue is updated, as they may complete immediately
+		items.forEach( function(item) { item.run(); } );
+	}
+
+	releaseQueue(host) {
+		// release slot for host, and start next queued request
+		this.queueActive--;
+		if (!--this.queueActiveHosts[host]) delete this.queueActiveHosts[host];
+		this.processQueue();
+	}
+
+};
@@ -0,0 +1,119 @@
+// Rate limiting and host cooldowns for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const Perf = require('pixl-perf');
+
+module.exports = class RateLimit {
+
+	setRateLimit(key, opts) {
+		// set token bucket rate limit for hostname or URL prefix, or false to remove
+		// opts: { rate, burst } where rate is requests per second
+		if (!this.rateLimits) this.rateLimits = {};
+		if (!opts) { delete this.rateLimits[key]; return; }
+
+		var burst = opts.burst || Math.max(1, opts.rate);
+		this.rateLimits[key] = { rate: opts.rate, burst: burst, tokens: burst, last: Date.now() };
+	}
+
+	setHostCooldown(enabled) {
+		// pause all requests to a host when it sends 429/503 with Retry-After
+		// pass true, or max cooldown in ms, or false to disable
+		this.hostCooldown = enabled;
+		if (!enabled) this.cooldowns = {};
+	}
+
+	getCooldown(url) {
+		// get remaining cooldown for host in ms (0 if none)
+		var host = require('url').parse(url).host;
+		var until = (this.cooldowns || {})[host] || 0;
+		return Math.max(0, until - Date.now());
+	}
+
+	startCooldown(host, delay) {
+		// pause all requests to host for delay ms
+		if (!this.cooldowns) this.cooldowns = {};
+		if (isNaN(delay) || (delay <= 0)) return;
+		if (this.hostCooldown !== true) delay = Math.min( delay, this.hostCooldown );
+
+		var until = Date.now() + delay;
+		if (until <= (this.cooldowns[host] || 0)) return;
+
+		this.cooldowns[host] = until;
+		this.emitEvent('cooldown', { host: host, delay: delay });
+	}
+
+	getRateLimit(url) {
+		// find most specific rate limit for url: longest URL prefix, then hostname
+		var parts = require('url').parse(url);
+		var best = null;
+		var best_len = 0;
+
+		for (var key in this.rateLimits) {
+			var match = key.match(/^\w+\:\/\//) ? (url.indexOf(key) === 0) : ((key == parts.host) || (key == parts.hostname));
+			var len = key.match(/^\w+\:\/\//) ? key.length : 0;
+			if (match && (!best || (len > best_len))) { best = this.rateLimits[key]; best_len = len; }
+		}
+		return best;
+	}
+
+	takeToken(limit) {
+		// reserve token from bucket, and return ms to wait until it is available
+		// tokens may go negative, so waiting requests are served in order
+		var now = Date.now();
+		limit.tokens = Math.min( limit.burst, limit.tokens + ((now - limit.last) / 1000) * limit.rate );
+		limit.last = now;
+		limit.tokens--;
+		return (limit.tokens < 0) ? Math.ceil( (-limit.tokens / limit.rate) * 1000 ) : 0;
+	}
+
+	throttleRequest(url, options, callback) {
+		// wait for rate limit token and host cooldown (every hop), then send request
+		var self = this;
+		var limit = this.rateLimits ? this.getRateLimit(url) : null;
+		var delay = limit ? this.takeToken(limit) : 0;
+		var cooldown = this.cooldowns ? this.getCooldown(url) : 0;
+
+		if (!delay && !cooldown) return this.sendRequest( url, options, callback );
+
+		// throttle time counts towards the total
+		var perf = options.perf;
+		if (!perf) {
+			perf = options.perf = new Perf();
+			perf.begin();
+		}
+		var start = process.hrtime();
+		var signal = options.signal || null;
+		var timer = null;
+
+		var aborter = function() {
+			clearTimeout( timer );
+			endThrottle();
+			callback( new Error("Request Aborted"), null, null, perf );
+		};
+
+		var endThrottle = function() {
+			// add time spent waiting to throttle metric
+			if (signal) signal.removeEventListener('abort', aborter);
+			if (!perf.perf.throttle) perf.perf.throttle = { elapsed: 0, end: 1 };
+			perf.perf.throttle.elapsed += perf.calcElapsed( start );
+		};
+
+		var check = function() {
+			// cooldown may have been extended while we were waiting
+			var wait = self.getCooldown(url);
+			if (wait) { timer = setTimeout( check, wait ); return; }
+
+			endThrottle();
+			self.sendRequest( url, options, callback );
+		};
+
+		if (signal) {
+			if (signal.aborted) return aborter();
+			signal.addEventListener('abort', aborter, { once: true });
+		}
+
+		timer = setTimeout( check, Math.max(delay, cooldown) );
+	}
+
+};
@@ -0,0 +1,232 @@
+// Record and replay transport for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const fs = require('fs');
+const Perf = require('pixl-perf');
+const { getHeader, secretHeaders } = require('./headers.js');
+
+module.exports = class Record {
+
+	setRecordMode(mode, file, opts) {
+		// record all requests to fixture file, or replay responses from it ('record', 'replay' or false)
+		// opts: { matchHeaders, matchBody } for choosing recorded responses in replay mode
+		// opts: { redactHeaders, mask } for masking secret headers and URL credentials in the fixture (and when matching)
+		if (!mode) { this.recorder = false; return; }
+		if ((mode != 'record') && (mode != 'replay')) throw new Error("Unknown record mode: " + mode);
+
+		this.recorder = {
+			matchHeaders: [],
+			matchBody: false,
+			redactHeaders: secretHeaders,
+			mask: '[REDACTED]',
+			...(opts || {}),
+			mode: mode,
+			file: file,
+			entries: (mode == 'record') ? [] : null,
+			used: [],
+			saving: false,
+			pending: []
+		};
+	}
+
+	recordRequest(sendFunc, url, options, callback) {
+		// record request and response to fixture file, or serve response from it
+		var self = this;
+		var rec = this.recorder;
+		var req = {
+			method: (options.method || 'GET').toUpperCase(),
+			url: redactURL( rec, url ),
+			headers: redactHeaders( rec, { ...this.defaultHeaders, ...(options.headers || {}) } ),
+			body: encodeBody( options.data )
+		};
+
+		if (rec.mode == 'replay') return this.replayRequest( req, options, callback );
+
+		sendFunc.call( this, url, options, function(err, res, data, perf, coalesced) {
+			var entry = { request: req };
+			if (err) entry.error = { message: err.message, code: err.code || null };
+
+			if (res) entry.response = {
+				status: res.statusCode,
+				statusMessage: res.statusMessage,
+				headers: redactHeaders( rec, res.headers ),
+				body: null
+			};
+
+			var finish = function() {
+				// storage errors are non-fatal
+				rec.entries.push( entry );
+				self.saveRecording( rec, function() {
+					callback( err, res, data, perf, coalesced );
+				} );
+			};
+
+			if (!entry.response) return finish();
+
+			if (typeof(options.download) == 'string') {
+				// body went to a file, so read it back for the fixture
+				return fs.readFile( options.download, function(read_err, body) {
+					if (!read_err) entry.response.body = encodeBody( body );
+					finish();
+				} );
+			}
+
+			entry.response.body = encodeBody( data );
+			finish();
+		} );
+	}
+
+	replayRequest(req, options, callback) {
+		// serve recorded response matching request, without touching the network
+		var self = this;
+		var rec = this.recorder;
+
+		if (!rec.entries) {
+			// load fixture file on first request
+			return fs.readFile( rec.file, 'utf8', function(err, text) {
+				var json = null;
+				if (!err) {
+					try { json = JSON.parse(text); }
+					catch (e) { err = e; }
+				}
+				if (err) return callback( err );
+
+				if (!rec.entries) rec.entries = json.entries || [];
+				self.replayRequest( req, options, callback );
+			} );
+		}
+
+		// use recorded entries in order, then keep repeating the last match
+		var idx = -1;
+		for (var jdx = 0; jdx < rec.entries.length; jdx++) {
+			if (!matchEntry( rec, rec.entries[jdx].request, req )) continue;
+			idx = jdx;
+			if (!rec.used[jdx]) break;
+		}
+
+		if (idx == -1) {
+			var err = new Error("No recorded response for: " + req.method + " " + req.url);
+			err.code = 'EREPLAYMISS';
+			err.url = req.url;
+			return callback( err );
+		}
+
+		rec.used[idx] = true;
+		var entry = rec.entries[idx];
+
+		var perf = new Perf();
+		perf.begin();
+		perf.count('replayed', 1);
+		perf.end();
+
+		var res = null;
+		var data = null;
+		if (entry.response) {
+			res = {
+				statusCode: entry.response.status,
+				statusMessage: entry.response.statusMessage,
+				httpVersion: '1.1',
+				headers: { ...entry.response.headers },
+				fromReplay: true
+			};
+			data = decodeBody( entry.response.body ) || Buffer.alloc(0);
+		}
+
+		if (entry.error) {
+			err = new Error( entry.error.message );
+			if (entry.error.code !== null) err.code = entry.error.code;
+			err.url = req.url;
+		}
+
+		// download requests get the recorded body written to their file or stream
+		var download = options.download || null;
+		if (!download || !res) return process.nextTick( function() { callback( err || null, res, data, perf ); } );
+
+		if (typeof(download) == 'string') {
+			return fs.writeFile( download, data, function(write_err) {
+				callback( err || write_err || null, res, null, perf );
+			} );
+		}
+
+		download.end( data, function() {
+			callback( err || null, res, null, perf );
+		} );
+	}
+
+	saveRecording(rec, callback) {
+		// write recorded entries to fixture file (atomic), one write at a time
+		var self = this;
+		if (rec.saving) { rec.pending.push( callback ); return; }
+		rec.saving = true;
+
+		var temp_file = rec.file + '.' + process.pid + '.tmp';
+		var json = JSON.stringify({ entries: rec.entries }, null, "\t") + "\n";
+
+		fs.writeFile( temp_file, json, function(err) {
+			var done = function(err) {
+				rec.saving = false;
+				var pending = rec.pending;
+				rec.pending = [];
+				callback( err );
+
+				// entries added while we were writing need another write
+				if (pending.length) self.saveRecording( rec, function(err) {
+					pending.forEach( function(cb) { cb(err); } );
+				} );
+			};
+			if (err) return done(err);
+			fs.rename( temp_file, rec.file, done );
+		} );
+	}
+
+};
+
+function encodeBody(data) {
+	// encode request or response body for fixture (streams and forms are not recorded)
+	if (typeof(data) == 'string') return data;
+	if (!Buffer.isBuffer(data)) return null;
+
+	var text = data.toString('utf8');
+	if (Buffer.from(text, 'utf8').equals(data)) return text;
+	return { base64: data.toString('base64') };
+};
+
+function redactHeaders(rec, headers) {
+	// return copy of headers with secrets masked, so they are not written to the fixture file
+	var names = rec.redactHeaders.map( function(name) { return name.toLowerCase(); } );
+	var copy = {};
+	for (var key in headers) {
+		copy[key] = (names.indexOf(key.toLowerCase()) > -1) ? rec.mask : headers[key];
+	}
+	return copy;
+};
+
+function redactURL(rec, url) {
+	// mask credentials in url (e.g. user:pass@host), same as debug logging
+	return url.replace( /^(\w+:\/\/)([^\/\?#@]+)@/, function(m_all, m_proto) { return m_proto + rec.mask + '@'; } );
+};
+
+function decodeBody(body) {
+	// decode fixture body back to buffer
+	if (body === null) return null;
+	if (typeof(body) == 'string') return Buffer.from(body, 'utf8');
+	return Buffer.from(body.base64, 'base64');
+};
+
+function matchEntry(rec, recorded, req) {
+	// check if recorded request matches new request, using configured rules
+	if ((recorded.method != req.method) || (recorded.url != req.url)) return false;
+
+	var names = rec.matchHeaders;
+	if (names === true) names = Object.keys(recorded.headers).concat( Object.keys(req.headers) );
+
+	for (var idx = 0, len = names.length; idx < len; idx++) {
+		if (getHeader(recorded.headers, names[idx]) !== getHeader(req.headers, names[idx])) return false;
+	}
+
+	if (typeof(rec.matchBody) == 'function') return !!rec.matchBody( recorded.body, req.body );
+	if (rec.matchBody && (JSON.stringify(recorded.body) !== JSON.stringify(req.body))) return false;
+
+	return true;
+};
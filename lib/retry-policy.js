@@ -0,0 +1,82 @@
+// Retry policy with jitter strategies for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const Class = require('class-plus');
+
+module.exports = Class({
+
+	// backoff strategy: exponential, full, equal or decorrelated (jitter)
+	strategy: 'full',
+
+	// max number of retries
+	retries: 3,
+
+	// base and max delay between retries (ms)
+	baseDelay: 100,
+	maxDelay: 30000,
+
+	// give up after this much total time has elapsed (ms, 0 = no limit)
+	maxElapsed: 0,
+
+	// response codes which are retried
+	retryMatch: /^(408|425|429|500|502|503|504)$/,
+
+	// error codes which are retried (transient network errors)
+	errorMatch: /^(ECONNRESET|ECONNREFUSED|ECONNABORTED|ETIMEDOUT|EPIPE|EAI_AGAIN|EHOSTUNREACH|ENETUNREACH|ENETDOWN|EHOSTDOWN)$/,
+
+	// use Retry-After header as delay, if server sent one
+	respectRetryAfter: true
+
+},
+class RetryPolicy {
+
+	constructor(opts) {
+		// class constructor, opts: { strategy, retries, baseDelay, maxDelay, ... }
+		if (opts) {
+			for (var key in opts) this[key] = opts[key];
+		}
+	}
+
+	check(info) {
+		// decide whether to retry, returns delay in ms, or false to give up
+		// info: { url, method, err, resp, attempt, elapsed, delay, retryAfter }
+		if (info.attempt > this.retries) return false;
+		if (this.maxElapsed && (info.elapsed >= this.maxElapsed)) return false;
+
+		if (info.err) {
+			if (!('' + (info.err.code || '')).match(this.errorMatch)) return false;
+		}
+		else if (!info.resp || !info.resp.statusCode.toString().match(this.retryMatch)) return false;
+
+		if (this.respectRetryAfter && (info.retryAfter !== null) && (info.retryAfter !== undefined)) return info.retryAfter;
+
+		return this.getDelay(info);
+	}
+
+	getDelay(info) {
+		// compute delay for retry attempt using backoff strategy
+		var base = this.baseDelay;
+		var ceiling = Math.min( this.maxDelay, base * Math.pow(2, info.attempt - 1) );
+
+		switch (this.strategy) {
+			case 'full':
+				// random between zero and exponential ceiling
+				return Math.round( Math.random() * ceiling );
+
+			case 'equal':
+				// half exponential, plus random half
+				return Math.round( (ceiling / 2) + (Math.random() * ceiling / 2) );
+
+			case 'decorrelated':
+				// random between base and 3x previous delay
+				var prev = (info.attempt > 1) ? Math.max(base, info.delay) : base;
+				return Math.round( Math.min( this.maxDelay, base + (Math.random() * ((prev * 3) - base)) ) );
+
+			default:
+				// plain exponential backoff
+				return ceiling;
+		}
+	}
+
+});
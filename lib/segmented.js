@@ -0,0 +1,203 @@
+// Parallel segmented downloads for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const fs = require('fs');
+const Perf = require('pixl-perf');
+
+module.exports = class Segmented {
+
+	segmentedDownload(url, options, callback) {
+		// download file using N concurrent range requests, if the server supports it
+		// falls back to a single stream download if not
+		var self = this;
+		var file = options.download;
+		var num_segments = parseInt( options.segments, 10 ) || 1;
+		var progress = options.progress || null;
+		var retries = ('retries' in options) ? options.retries : this.defaultRetries;
+		var retry_delay = ('retryDelay' in options) ? options.retryDelay : this.defaultRetryDelay;
+		var signal = options.signal || null;
+
+		options = { ...options, headers: { ...(options.headers || {}) } };
+		delete options.segments;
+
+		var perf = new Perf();
+		perf.begin();
+
+		var finish = function(err, res, data) {
+			perf.end();
+			callback( err, res, data, perf );
+		};
+
+		var singleDownload = function() {
+			// server does not support ranges (or content changed), so download normally
+			self.requestHop( url, options, function(err, res, data, part_perf) {
+				if (part_perf) mergePerf( perf, part_perf );
+				finish( err, res, data );
+			} );
+		};
+
+		if (num_segments < 2) return singleDownload();
+
+		// ranges only make sense on identity encoded content
+		var head_opts = { ...options, method: 'HEAD', headers: { ...options.headers, 'Accept-Encoding': 'identity' } };
+		delete head_opts.download;
+		delete head_opts.progress;
+		delete head_opts.preflight;
+		delete head_opts.data;
+
+		this.requestHop( url, head_opts, function(err, head_res, data, head_perf) {
+			if (head_perf) mergePerf( perf, head_perf );
+
+			var length = head_res ? parseInt( head_res.headers['content-length'], 10 ) : 0;
+			if (err || !head_res.statusCode.toString().match(/^2\d\d$/) || !length || head_res.headers['content-encoding'] ||
+				!(head_res.headers['accept-ranges'] || '').match(/\bbytes\b/i)) {
+				return singleDownload();
+			}
+
+			// use strong validator to detect content changing between segments
+			var validator = head_res.headers['etag'];
+			if (!validator || validator.match(/^W\//)) validator = head_res.headers['last-modified'] || null;
+
+			// split into contiguous segments
+			num_segments = Math.min( num_segments, length );
+			var segments = [];
+			for (var idx = 0; idx < num_segments; idx++) {
+				segments.push({
+					start: Math.floor( idx * length / num_segments ),
+					end: Math.floor( (idx + 1) * length / num_segments ) - 1,
+					done: 0,
+					attempt: 0
+				});
+			}
+
+			var first_err = null;
+			var mismatch = false;
+			var num_finished = 0;
+
+			var fetchSegment = function(seg) {
+				// fetch remaining bytes of segment, written at the correct file offset
+				var offset = seg.start + seg.done;
+				var stream = fs.createWriteStream( file, { flags: 'r+', start: offset } );
+				stream.on('error', function() {}); // reported via request callback
+
+				seg.attempt++;
+				seg.controller = new AbortController();
+
+				var seg_opts = {
+					...options,
+					method: 'GET',
+					headers: { ...options.headers, 'Accept-Encoding': 'identity', 'Range': 'bytes=' + offset + '-' + seg.end },
+					download: stream,
+					retries: 0,
+					signal: seg.controller.signal,
+					progress: function(chunk) {
+						// report progress against the overall response
+						if (progress) progress( chunk, head_res );
+					},
+					preflight: function(err, res, download) {
+						// make sure server sent the exact range we asked for, before writing anything
+						var range_match = (res.headers['content-range'] || '').toString().match(/^bytes\s+(\d+)\-(\d+)/);
+						if ((res.statusCode != 206) || !range_match || (parseInt(range_match[1], 10) != offset) || (parseInt(range_match[2], 10) != seg.end)) {
+							seg.mismatch = true;
+							seg.controller.abort();
+							return;
+						}
+						res.pipe( download );
+					}
+				};
+				if (validator) seg_opts.headers['If-Range'] = validator;
+
+				self.requestHop( url, seg_opts, function(err, res, data, part_perf) {
+					if (part_perf) mergePerf( perf, part_perf );
+
+					// make sure all received bytes are flushed before moving on
+					var done = function() {
+						seg.done += stream.bytesWritten;
+
+						if (seg.mismatch) {
+							mismatch = true;
+							abortSegments();
+						}
+						else if (err && !first_err && !mismatch) {
+							if (retries && ((retries === true) || (seg.attempt <= retries))) {
+								perf.count('retries', 1);
+								seg.timer = setTimeout( function() { seg.timer = null; fetchSegment(seg); }, retry_delay );
+								return;
+							}
+							first_err = err;
+							abortSegments();
+						}
+
+						if (++num_finished == segments.length) finishSegments();
+					};
+
+					if (stream.closed) done();
+					else {
+						stream.once('close', done);
+						stream.end();
+					}
+				} );
+			};
+
+			var abortSegments = function() {
+				// abort all in-flight segments after a fatal error, and cancel those waiting to retry
+				segments.forEach( function(seg) {
+					if (seg.timer) {
+						clearTimeout( seg.timer );
+						seg.timer = null;
+						if (++num_finished == segments.length) finishSegments();
+					}
+					else seg.controller.abort();
+				} );
+			};
+
+			var handleAbort = function() {
+				// caller aborted the download, so abort all segments (this also prevents retries)
+				if (!first_err) first_err = new Error("Request Aborted");
+				abortSegments();
+			};
+
+			var finishSegments = function() {
+				if (signal) {
+					signal.removeEventListener('abort', handleAbort);
+					if (signal.aborted) return finish( new Error("Request Aborted"), null, null );
+				}
+				if (mismatch) return singleDownload();
+				if (first_err) return finish( first_err, null, null );
+
+				perf.count('segments', segments.length);
+				finish( null, head_res, null );
+			};
+
+			// preallocate file, then fetch all segments concurrently
+			fs.open( file, 'w', function(err, fh) {
+				if (err) return finish( err, null, null );
+
+				fs.ftruncate( fh, length, function(err) {
+					fs.close( fh, function() {
+						if (err) return finish( err, null, null );
+						if (signal && signal.aborted) return finish( new Error("Request Aborted"), null, null );
+
+						if (signal) signal.addEventListener('abort', handleAbort, { once: true });
+						segments.forEach( fetchSegment );
+					} );
+				} );
+			} );
+		} );
+	}
+
+};
+
+function mergePerf(perf, part) {
+	// merge metrics and counters from a request into the combined perf
+	// note that concurrent segments add up, so metrics may exceed the total
+	for (var key in part.perf) {
+		if (key == part.totalKey) continue;
+		if (!perf.perf[key]) perf.perf[key] = { elapsed: 0, end: 1 };
+		perf.perf[key].elapsed += (part.perf[key].elapsed / (part.scale / perf.scale)) || 0;
+	}
+	for (var key in part.counters) {
+		perf.count( key, part.counters[key] );
+	}
+};
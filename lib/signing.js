@@ -0,0 +1,63 @@
+// Request signing hook for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const { findHeaderKey } = require('./headers.js');
+
+module.exports = class Signing {
+
+	setSigner(signer) {
+		// sign all requests with signer (e.g. SigV4 or MessageSigner instance), or false to disable
+		// signer must have sign(req), which adds its headers to req.headers, and may have verify(res) if verifyResponses is set
+		this.signer = signer || false;
+	}
+
+	signRequest(signer, url, options, body) {
+		// let signer add headers to request, once the body and headers are final (called for every hop)
+		var parts = require('url').parse(url);
+		var protocol = options.protocol || parts.protocol;
+		var hostname = options.hostname || parts.hostname;
+		var port = options.port || parts.port;
+
+		// host as node sends it, without default port
+		if (((port == 80) && (protocol == 'http:')) || ((port == 443) && (protocol == 'https:'))) port = null;
+		if (hostname.indexOf(':') > -1) hostname = '[' + hostname + ']';
+		var host_key = findHeaderKey( options.headers, 'Host' );
+
+		signer.sign({
+			method: (options.method || 'GET').toUpperCase(),
+			url: url,
+			host: host_key ? ('' + options.headers[host_key]) : (hostname + (port ? (':' + port) : '')),
+			path: options.path || parts.path || '/',
+			headers: options.headers,
+			body: body
+		});
+	}
+
+	verifyResponse(signer, url, options, res, data, encoded) {
+		// check signature on final response with signer (if it verifies responses), returns error or null
+		// Content-Digest covers the body as sent, so use encoded body if we have it, and skip the body check if we only have it decoded
+		// (cached bodies may have been decompressed, and were checked when they were stored)
+		var body = Buffer.isBuffer(data) ? data : null;
+		if (encoded) body = encoded;
+		else if (res.fromCache) body = null;
+		else if (res.headers['content-encoding'] && !res.headers['content-encoding'].match(/^identity$/i)) body = null;
+
+		try {
+			signer.verify({
+				method: (options.method || 'GET').toUpperCase(),
+				url: url,
+				status: res.statusCode,
+				headers: res.headers,
+				body: body
+			});
+		}
+		catch (err) {
+			if (!err.code) err.code = 'ESIGNATURE';
+			err.url = url;
+			return err;
+		}
+		return null;
+	}
+
+};
@@ -0,0 +1,190 @@
+// AWS Signature Version 4 signer for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const crypto = require('crypto');
+const Class = require('class-plus');
+const { deleteHeader, hostHeader } = require('./headers.js');
+
+module.exports = Class({
+
+	// credentials
+	accessKeyId: '',
+	secretAccessKey: '',
+	sessionToken: '',
+
+	// region and service for credential scope
+	region: 'us-east-1',
+	service: 's3',
+
+	// extra headers to sign (host, content-type, content-md5 and x-amz-* are always signed)
+	signHeaders: null,
+
+	// always use UNSIGNED-PAYLOAD instead of hashing the body
+	unsignedPayload: false
+
+},
+class SigV4 {
+
+	constructor(opts) {
+		// class constructor, opts: { accessKeyId, secretAccessKey, sessionToken, region, service, signHeaders, unsignedPayload }
+		if (opts) {
+			for (var key in opts) this[key] = opts[key];
+		}
+	}
+
+	sign(req) {
+		// sign request in place, by adding Authorization, X-Amz-Date and X-Amz-Content-Sha256 headers
+		// req: { method, host, path, headers, body, date }
+		var headers = req.headers;
+		var date = amzDate( req.date || new Date() );
+
+		['Authorization', 'X-Amz-Date', 'X-Amz-Content-Sha256', 'X-Amz-Security-Token'].forEach( function(name) {
+			deleteHeader( headers, name );
+		} );
+
+		// streams cannot be hashed up front
+		var body = req.body;
+		var payload_hash = 'UNSIGNED-PAYLOAD';
+		if (!this.unsignedPayload && ((body === null) || (body === undefined) || Buffer.isBuffer(body) || (typeof(body) == 'string'))) {
+			payload_hash = sha256( body || '' );
+		}
+
+		headers['X-Amz-Date'] = date;
+		headers['X-Amz-Content-Sha256'] = payload_hash;
+		if (this.sessionToken) headers['X-Amz-Security-Token'] = this.sessionToken;
+
+		// collect headers to sign
+		var extra = (this.signHeaders || []).map( function(name) { return name.toLowerCase(); } );
+		var signed = { host: req.host };
+		for (var key in headers) {
+			var name = key.toLowerCase();
+			if (name.match(/^(x\-amz\-.+|content\-type|content\-md5|host)$/) || (extra.indexOf(name) > -1)) {
+				signed[name] = '' + headers[key];
+			}
+		}
+
+		var signature = this.signString( date, this.canonicalRequest( req.method, req.path, signed, payload_hash ) );
+		var names = Object.keys(signed).sort();
+
+		headers['Authorization'] = 'AWS4-HMAC-SHA256 Credential=' + this.accessKeyId + '/' + this.credentialScope(date) +
+			', SignedHeaders=' + names.join(';') + ', Signature=' + signature;
+	}
+
+	presign(url, opts) {
+		// generate presigned URL, which can be used without credentials until it expires
+		// opts: { method, expires (seconds), headers, date }
+		if (!opts) opts = {};
+		var parts = require('url').parse(url);
+		var date = amzDate( opts.date || new Date() );
+		var method = (opts.method || 'GET').toUpperCase();
+
+		var signed = { host: hostHeader(parts) };
+		for (var key in opts.headers || {}) signed[ key.toLowerCase() ] = '' + opts.headers[key];
+		var names = Object.keys(signed).sort();
+
+		var params = [
+			['X-Amz-Algorithm', 'AWS4-HMAC-SHA256'],
+			['X-Amz-Credential', this.accessKeyId + '/' + this.credentialScope(date)],
+			['X-Amz-Date', date],
+			['X-Amz-Expires', '' + (opts.expires || 3600)],
+			['X-Amz-SignedHeaders', names.join(';')]
+		];
+		if (this.sessionToken) params.push( ['X-Amz-Security-Token', this.sessionToken] );
+
+		var query = (parts.query ? (parts.query + '&') : '') + params.map( function(pair) {
+			return uriEncode(pair[0]) + '=' + uriEncode(pair[1]);
+		} ).join('&');
+
+		var path = (parts.pathname || '/') + '?' + query;
+		var payload_hash = (this.service == 's3') ? 'UNSIGNED-PAYLOAD' : sha256('');
+		var signature = this.signString( date, this.canonicalRequest( method, path, signed, payload_hash ) );
+
+		return parts.protocol + '//' + parts.host + path + '&X-Amz-Signature=' + signature + (parts.hash || '');
+	}
+
+	canonicalRequest(method, path, signed, payload_hash) {
+		// build canonical request string from path (including query) and lowercased headers to sign
+		var idx = path.indexOf('?');
+		var pathname = (idx > -1) ? path.substring(0, idx) : path;
+		var query = (idx > -1) ? path.substring(idx + 1) : '';
+		var s3 = (this.service == 's3');
+
+		// path segments are encoded once for s3, and twice for everything else
+		var uri = pathname.split('/').map( function(segment) {
+			var encoded = uriEncode( uriDecode(segment) );
+			return s3 ? encoded : uriEncode(encoded);
+		} ).join('/') || '/';
+
+		var pairs = query.split('&').filter( function(pair) { return pair.length; } ).map( function(pair) {
+			var eq = pair.indexOf('=');
+			var key = (eq > -1) ? pair.substring(0, eq) : pair;
+			var value = (eq > -1) ? pair.substring(eq + 1) : '';
+			return [ uriEncode(uriDecode(key)), uriEncode(uriDecode(value)) ];
+		} ).sort( function(a, b) {
+			return (a[0] < b[0]) ? -1 : ((a[0] > b[0]) ? 1 : ((a[1] < b[1]) ? -1 : ((a[1] > b[1]) ? 1 : 0)));
+		} );
+
+		var names = Object.keys(signed).sort();
+
+		return [
+			method.toUpperCase(),
+			uri,
+			pairs.map( function(pair) { return pair[0] + '=' + pair[1]; } ).join('&'),
+			names.map( function(name) { return name + ':' + signed[name].trim().replace(/\s+/g, ' ') + "\n"; } ).join(''),
+			names.join(';'),
+			payload_hash
+		].join("\n");
+	}
+
+	credentialScope(date) {
+		// get credential scope for date: yyyymmdd/region/service/aws4_request
+		return date.substring(0, 8) + '/' + this.region + '/' + this.service + '/aws4_request';
+	}
+
+	signString(date, canonical_request) {
+		// compute signature for canonical request
+		var string_to_sign = [
+			'AWS4-HMAC-SHA256',
+			date,
+			this.credentialScope(date),
+			sha256( canonical_request )
+		].join("\n");
+
+		var key = hmac( 'AWS4' + this.secretAccessKey, date.substring(0, 8) );
+		key = hmac( key, this.region );
+		key = hmac( key, this.service );
+		key = hmac( key, 'aws4_request' );
+
+		return hmac( key, string_to_sign ).toString('hex');
+	}
+
+});
+
+function amzDate(date) {
+	// format date as yyyymmddThhmmssZ
+	return date.toISOString().replace(/[\-\:]/g, '').replace(/\.\d+/, '');
+};
+
+function sha256(data) {
+	// hex sha256 hash
+	return crypto.createHash('sha256').update( data ).digest('hex');
+};
+
+function hmac(key, data) {
+	// raw hmac-sha256
+	return crypto.createHmac('sha256', key).update( data ).digest();
+};
+
+function uriEncode(str) {
+	// encode string as per RFC 3986 (only unreserved characters are left as-is)
+	return encodeURIComponent(str).replace(/[!'()*]/g, function(ch) {
+		return '%' + ch.charCodeAt(0).toString(16).toUpperCase();
+	} );
+};
+
+function uriDecode(str) {
+	// decode string, leaving it alone if it is malformed
+	try { return decodeURIComponent(str); }
+	catch (e) { return str; }
+};
@@ -0,0 +1,75 @@
+// Basic W3C Trace Context tracer for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const crypto = require('crypto');
+const Class = require('class-plus');
+
+module.exports = Class({
+
+	// optional function called with each span when it ends, e.g. for exporting
+	onEnd: null,
+
+	// set the sampled flag on new traces
+	sampled: true
+
+},
+class Tracer {
+
+	constructor(opts) {
+		// class constructor, opts: { onEnd, sampled }
+		if (opts) {
+			for (var key in opts) this[key] = opts[key];
+		}
+	}
+
+	startSpan(name, opts) {
+		// start new span, as a child of opts.parent (span or span context) if given
+		// opts: { parent, attributes }
+		if (!opts) opts = {};
+		var parent = opts.parent || null;
+		if (parent && parent.spanContext) parent = parent.spanContext();
+
+		return new Span({
+			name: name,
+			traceId: parent ? parent.traceId : crypto.randomBytes(16).toString('hex'),
+			spanId: crypto.randomBytes(8).toString('hex'),
+			parentSpanId: parent ? parent.spanId : null,
+			traceFlags: parent ? parent.traceFlags : (this.sampled ? 1 : 0),
+			traceState: parent ? (parent.traceState || '') : '',
+			attributes: { ...(opts.attributes || {}) },
+			onEnd: this.onEnd
+		});
+	}
+
+});
+
+class Span {
+
+	constructor(props) {
+		// class constructor, start span now
+		Object.assign( this, props );
+		this.startTime = Date.now();
+		this.endTime = 0;
+		this.error = null;
+	}
+
+	spanContext() {
+		// get ids for propagation: { traceId, spanId, traceFlags, traceState }
+		return { traceId: this.traceId, spanId: this.spanId, traceFlags: this.traceFlags, traceState: this.traceState };
+	}
+
+	setAttributes(attributes) {
+		// add or replace span attributes
+		Object.assign( this.attributes, attributes );
+	}
+
+	end(err) {
+		// end span, with optional error
+		if (this.endTime) return;
+		this.endTime = Date.now();
+		if (err) this.error = err;
+		if (this.onEnd) this.onEnd(this);
+	}
+
+};
@@ -0,0 +1,121 @@
+// W3C Trace Context propagation and tracing spans for pixl-request
+// Copyright (c) 2015 - 2024 Joseph Huckaby
+// Released under the MIT License
+
+const Tracer = require('./tracer.js');
+
+module.exports = class Tracing {
+
+	setTracer(tracer) {
+		// enable tracing with adapter (or true for built-in tracer), or false to disable
+		// adapter must implement startSpan(name, { parent, attributes }), see README
+		if (tracer === true) tracer = new Tracer();
+		this.tracer = tracer || false;
+		this.traceHops = new WeakMap();
+	}
+
+	traceRequest(sendFunc, url, options, callback) {
+		// start span for logical request, and end it when the request completes (after all hops)
+		var self = this;
+		var method = (options.method || 'GET').toUpperCase();
+		var parent = options.span || parseTraceParent( options.traceparent, options.tracestate );
+
+		var span = this.tracer.startSpan( 'HTTP ' + method, { parent: parent, attributes: urlAttributes(method, url) } );
+		var tracing = { span: span, hops: [] };
+
+		options = { ...options, tracing: tracing };
+		delete options.span;
+		delete options.traceparent;
+		delete options.tracestate;
+
+		sendFunc.call( this, url, options, function(err, res, data, perf, coalesced) {
+			// end hops which never finished, e.g. hedged requests which lost the race
+			tracing.hops.slice().forEach( function(hop) {
+				hop.setAttributes({ 'http.aborted': true });
+				hop.end();
+			} );
+
+			var attrs = perfAttributes( perf );
+			if (res) attrs['http.response.status_code'] = res.statusCode;
+			if (err) attrs['error.type'] = '' + (err.code || 'Error');
+			span.setAttributes( attrs );
+			span.end( err || null );
+
+			callback( err, res, data, perf, coalesced );
+		} );
+	}
+
+	traceStart(tracing, url, options, perf, attempt) {
+		// start child span for a single hop (initial, redirect or retry), and inject trace context headers
+		var method = (options.method || 'GET').toUpperCase();
+		var attrs = urlAttributes( method, url );
+		attrs['http.request.resend_count'] = attempt - 1;
+
+		var hop = this.tracer.startSpan( 'HTTP ' + method, { parent: tracing.span, attributes: attrs } );
+		tracing.hops.push( hop );
+		this.traceHops.set( perf, { span: hop, tracing: tracing } );
+
+		// inject into a copy of the headers, so trace context is not written into the caller's object
+		var ctx = hop.spanContext();
+		options.headers = { ...options.headers };
+		for (var key in options.headers) {
+			if (key.match(/^(traceparent|tracestate)$/i)) delete options.headers[key];
+		}
+		options.headers['traceparent'] = '00-' + ctx.traceId + '-' + ctx.spanId + '-' + ('0' + ((ctx.traceFlags || 0) & 0xff).toString(16)).slice(-2);
+		if (ctx.traceState) options.headers['tracestate'] = ctx.traceState;
+	}
+
+	traceResponse(perf, res) {
+		// add response status to hop span
+		var hop = this.traceHops && this.traceHops.get(perf);
+		if (hop) hop.span.setAttributes({ 'http.response.status_code': res.statusCode });
+	}
+
+	traceFinish(perf, err) {
+		// end hop span with timings for this hop only (called before previous hops are merged in)
+		var hop = this.traceHops && this.traceHops.get(perf);
+		if (!hop) return;
+		this.traceHops.delete(perf);
+
+		var idx = hop.tracing.hops.indexOf( hop.span );
+		if (idx > -1) hop.tracing.hops.splice( idx, 1 );
+
+		var attrs = perfAttributes( perf );
+		if (err) attrs['error.type'] = '' + (err.code || 'Error');
+		hop.span.setAttributes( attrs );
+		hop.span.end( err || null );
+	}
+
+};
+
+function parseTraceParent(traceparent, tracestate) {
+	// parse incoming traceparent header into span context, or null if invalid
+	var matches = ('' + (traceparent || '')).trim().match(/^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/);
+	if (!matches || (matches[1] == 'ff') || matches[2].match(/^0+$/) || matches[3].match(/^0+$/)) return null;
+	return { traceId: matches[2], spanId: matches[3], traceFlags: parseInt(matches[4], 16), traceState: tracestate || '' };
+};
+
+function urlAttributes(method, url) {
+	// standard span attributes for request method and url
+	var parts = require('url').parse(url);
+	return {
+		'http.request.method': method,
+		'url.full': url,
+		'server.address': parts.hostname,
+		'server.port': parseInt( parts.port || ((parts.protocol == 'https:') ? 443 : 80) )
+	};
+};
+
+function perfAttributes(perf) {
+	// convert perf phases (ms) and counters into span attributes
+	var attrs = {};
+	if (!perf) return attrs;
+
+	for (var key in perf.perf) {
+		if (perf.perf[key].end) attrs['perf.' + key] = Math.round( (perf.perf[key].elapsed || 0) * 1000 ) / 1000;
+	}
+	for (var key in perf.counters) {
+		attrs['perf.' + key] = perf.counters[key];
+	}
+	return attrs;
+};
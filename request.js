@@ -8,6 +8,7 @@ const https = require('https');
 const querystring = require('querystring');
 const zlib = require('zlib');
 const net = require("net");
+const crypto = require('crypto');
 
 const FormData = require('form-data');
 const XML = require('pixl-xml');
@@ -16,21 +17,66 @@ const Perf = require('pixl-perf');
 const ACL = require('pixl-acl');
 const ErrNo = require('errno');
 const { ProxyAgent } = require('proxy-agent');
+const CookieJar = require('./lib/cookie-jar.js');
+const RetryPolicy = require('./lib/retry-policy.js');
+const { findHeaderKey, extractUrlHeaders } = require('./lib/headers.js');
 
 // sniff for Brotli compression support, as it was added in Node v10.16
 const hasBrotli = !!zlib.BrotliCompress;
 const pixlAgent = "PixlRequest " + require('./package.json').version;
 
+// methods which are safe to retry after the request has been sent (RFC 9110 section 9.2.2)
+const idempotentMethods = /^(GET|HEAD|OPTIONS|TRACE|PUT|DELETE)$/i;
+
 // sniff for proxy
 const userProxyEnv = (process.env.http_proxy || process.env.https_proxy || process.env.all_proxy || process.env.HTTP_PROXY || process.env.HTTPS_PROXY || process.env.ALL_PROXY);
 
 var dns_cache = {};
+
+// response bodies as received (before decompression), for checking Content-Digest on signed responses
+var encoded_bodies = new WeakMap();
+
 var http_common = require('_http_common');
 var checkIsHttpToken = http_common._checkIsHttpToken;
 var checkInvalidHeaderChar = http_common._checkInvalidHeaderChar;
 
 module.exports = Class({
 	
+	__hooks: true,
+	__events: true,
+	
+	__mixins: [
+		require('./lib/http2.js'),
+		require('./lib/cache.js'),
+		require('./lib/segmented.js'),
+		require('./lib/circuit-breaker.js'),
+		require('./lib/queue.js'),
+		require('./lib/rate-limit.js'),
+		require('./lib/hedge.js'),
+		require('./lib/coalesce.js'),
+		require('./lib/record.js'),
+		require('./lib/har.js'),
+		require('./lib/tracing.js'),
+		require('./lib/metrics.js'),
+		require('./lib/logging.js'),
+		require('./lib/prepare.js'),
+		require('./lib/curl.js'),
+		require('./lib/digest.js'),
+		require('./lib/auth.js'),
+		require('./lib/signing.js')
+	],
+	
+	__static: {
+		CookieJar: CookieJar,
+		CacheStore: require('./lib/cache-store.js'),
+		RetryPolicy: RetryPolicy,
+		Tracer: require('./lib/tracer.js'),
+		PreparedRequest: require('./lib/prepared-request.js'),
+		OAuth2: require('./lib/oauth2.js'),
+		SigV4: require('./lib/sigv4.js'),
+		MessageSigner: require('./lib/message-signer.js')
+	},
+	
 	__asyncify: {
 		json: ['resp', 'data', 'perf'],
 		xml: ['resp', 'data', 'perf'],
@@ -72,12 +118,70 @@ module.exports = Class({
 	// use proxy agent when specific env vars are present
 	proxyAgent: false,
 	
+	// optional cookie jar for capturing and replaying cookies
+	cookieJar: false,
+	
+	// optional response cache (CacheStore instance)
+	cache: false,
+	
+	// optionally use http/2 (pooled sessions per origin)
+	http2: false,
+	http2SessionTimeout: 30000,
+	
+	// optional per-origin circuit breaker (see setCircuitBreaker)
+	circuitBreaker: false,
+	
+	// optional concurrency limits, requests over the limit wait in a queue
+	maxConcurrent: 0,
+	maxConcurrentPerHost: 0,
+	queueTimeout: 0,
+	maxQueueLength: 0,
+	
+	// optionally pause all requests to a host when it sends Retry-After (see setHostCooldown)
+	hostCooldown: false,
+	
+	// optionally coalesce identical concurrent GET requests into one
+	coalesce: false,
+	
+	// optionally record requests to a fixture file, or replay responses from one (see setRecordMode)
+	recorder: false,
+	
+	// optionally collect requests for HAR export (see setHAR)
+	har: false,
+	
+	// optional tracer for W3C Trace Context propagation and spans (see setTracer)
+	tracer: false,
+	
+	// optionally aggregate metrics from all requests (see setMetrics)
+	metrics: false,
+	
+	// optional logger for debug logging, with secrets redacted (see setLogger)
+	logger: false,
+	
+	// prepare requests without sending them (see setDryRun)
+	dryRun: false,
+	
+	// only send credentials using digest auth, never basic (see setDigestAuth)
+	digestAuth: false,
+	
+	// optional provider for bearer tokens, e.g. OAuth2 (see setAuthProvider)
+	authProvider: false,
+	
+	// optional request signer, e.g. SigV4 or MessageSigner (see setSigner)
+	signer: false,
+	
 	// optional retries for certain kinds of transient network errors
 	defaultRetries: false,
 	defaultRetryDelay: 0,
 	defaultRetryDelayMax: 30000,
 	retryMatch: /^(408|425|429|500|502|503|504)$/,
 	
+	// optional retry policy (function or RetryPolicy), overrides the above when set
+	retryPolicy: null,
+	
+	// add Idempotency-Key header to non-idempotent requests, so they can be retried safely
+	idempotencyKey: false,
+	
 	// automatically include Content-Length header where applicable
 	// disable if you want chunked transfer encoding
 	autoContentLength: true
@@ -145,6 +249,15 @@ class Request {
 		// override the default retry delay maximum (ms)
 		this.defaultRetryDelayMax = delay;
 	}
+	setIdempotencyKey(enabled) {
+		// enable or disable automatic Idempotency-Key headers for non-idempotent requests
+		this.idempotencyKey = enabled;
+	}
+	setRetryPolicy(policy) {
+		// set retry policy (function, RetryPolicy or options for one), or false to disable
+		if (policy && (typeof(policy) != 'function') && !policy.check) policy = new RetryPolicy(policy);
+		this.retryPolicy = policy || null;
+	}
 	
 	setDNSCache(ttl) {
 		// set a DNS cache TTL (seconds) or 0 to disable
@@ -198,12 +311,26 @@ class Request {
 		this.blacklist = new ACL(ips);
 	}
 	
+	setCookieJar(jar) {
+		// attach a cookie jar (or true to create one), or false to remove it
+		if (jar === true) jar = new CookieJar();
+		this.cookieJar = jar || false;
+	}
+	
 	setWhitelist(ips) {
 		// whitelist certain IPs or ranges
 		if (!ips) { delete this.whitelist; return; }
 		this.whitelist = new ACL(ips);
 	}
 	
+	use(middleware) {
+		// add middleware to the request/response pipeline (runs in order added)
+		// pass a function for request-only, or an object with `request` and/or `response` functions
+		if (typeof(middleware) == 'function') middleware = { request: middleware };
+		if (middleware.request) this.registerHook( 'request', middleware.request );
+		if (middleware.response) this.registerHook( 'response', middleware.response );
+	}
+	
 	json(url, data, options, callback) {
 		// convenience method: get or post json, get json back
 		var self = this;
@@ -323,8 +450,15 @@ class Request {
 	post(url, options, callback) {
 		// perform HTTP POST, raw data or key/value pairs
 		// callback will receive: err, res, data
-		var key;
 		if (!options) options = {};
+		url = this.serializeData( url, options );
+		this.request( url, options, callback );
+	}
+	
+	serializeData(url, options) {
+		// serialize post data (json, xml, multipart or urlencoded) and set headers
+		// returns url, with any [data:] directives removed
+		var key;
 		if (!options.headers) options.headers = {};
 		if (!options.data) {
 			if (options.files) options.data = {};
@@ -336,7 +470,7 @@ class Request {
 		if (!options.data) {
 			// non-data post (or custom method)
 			delete options.data;
-			return this.request( url, options, callback );
+			return url;
 		}
 		
 		// see if we have a buffer, string or other
@@ -420,7 +554,7 @@ class Request {
 			}
 		} // serialize data
 		
-		this.request( url, options, callback );
+		return url;
 	}
 	
 	put(url, options, callback) {
@@ -453,25 +587,192 @@ class Request {
 		// low-level request sender
 		// callback will receive: err, res, data, perf
 		var self = this;
+		if (!options) options = {};
+		
+		if (('dryRun' in options) ? options.dryRun : this.dryRun) return this.dryRunRequest( url, options, callback );
+		
+		if (options.maxTime) {
+			// limit the entire transfer, so start the clock now, and combine with the caller's abort signal
+			var max_signal = AbortSignal.timeout( options.maxTime );
+			options = { ...options, signal: options.signal ? AbortSignal.any([ options.signal, max_signal ]) : max_signal };
+			delete options.maxTime;
+		}
+		
+		var sendFunc = this.cache ? this.cacheRequest : this.requestHop;
+		if (options.segments && (typeof(options.download) == 'string')) sendFunc = this.segmentedDownload;
+		
+		if (('authProvider' in options) ? options.authProvider : this.authProvider) sendFunc = this.authRequest.bind( this, sendFunc );
+		if (this.coalesce) sendFunc = this.coalesceRequest.bind( this, sendFunc );
+		if (this.recorder) sendFunc = this.recordRequest.bind( this, sendFunc );
+		if (this.tracer) sendFunc = this.traceRequest.bind( this, sendFunc );
+		
+		sendFunc.call( this, url, options, function(err, res, data, perf, coalesced) {
+			// coalesced requests share the perf of the original, which is recorded once
+			if (!coalesced) {
+				if (self.har && perf) self.harContent( perf, err, data );
+				if (self.metrics) self.recordMetrics( url, err, res, perf );
+			}
+			
+			// optionally verify response signature
+			var signer = ('signer' in options) ? options.signer : self.signer;
+			if (!err && res && signer && signer.verifyResponses) err = self.verifyResponse( signer, url, options, res, data, encoded_bodies.get(res) || null );
+			
+			var args = { url: url, options: options, err: err, resp: res, data: data, perf: perf };
+			
+			var finish = function() {
+				// emit final events, then fire user callback
+				var info = {
+					url: url,
+					attempt: (args.perf && args.perf.counters && args.perf.counters.requests) || 1,
+					err: args.err || null,
+					resp: args.resp || null,
+					perf: args.perf || null
+				};
+				if (args.err && self.listenerCount('error')) self.emit('error', info);
+				self.emitEvent('complete', info);
+				
+				callback( args.err, args.resp, args.data, args.perf );
+			};
+			
+			// run response middleware, which may transform or replace the results
+			if (!self.hooks || !self.hooks.response) return finish();
+			
+			self.fireHook( 'response', args, function(hook_err) {
+				if (hook_err) args.err = hook_err;
+				finish();
+			} );
+		} );
+	}
+	
+	requestHop(url, options, callback) {
+		// run request middleware for a single hop (initial, redirect or retry), then send it
+		var self = this;
+		var key;
+		
+		// Apply default options
+		options = { ...this.defaultOptions, ...(options || {}) };
+		
+		// default headers
+		if (!options.headers) options.headers = {};
+		for (key in this.defaultHeaders) {
+			if (!(key in options.headers)) {
+				options.headers[key] = this.defaultHeaders[key];
+			}
+		}
+		
+		if (!this.hooks || !this.hooks.request) return this.queueRequest( url, options, callback );
+		
+		var args = {
+			url: url,
+			options: options,
+			attempt: ((options.perf && options.perf.counters.requests) || 0) + 1
+		};
+		
+		this.fireHook( 'request', args, function(err) {
+			if (err) return callback( err );
+			if (!args.options.headers) args.options.headers = {};
+			self.queueRequest( args.url, args.options, callback );
+		} );
+	}
+	
+	applyRequestHeaders(options, req) {
+		// add body, auth, idempotency key and cookie headers to options.headers (used by sendRequest and prepareRequest)
+		// req: { url, site, method, path, body, bearer, auth, digestOrigin, digestChallenge, digestOnly, idempotencyKey, cookieJar }
+		// returns { body, form, auth, cookieKey, userCookies }, where auth is 'bearer', 'digest', 'basic' or null
+		var headers = options.headers;
+		var body = req.body;
+		var form = false;
+		var auth = null;
+		var key;
+		
+		// support FormData and raw data
+		if (body instanceof FormData) {
+			// allow form-data to populate headers (multipart boundary, etc.)
+			form = true;
+			var form_headers = body.getHeaders();
+			for (key in form_headers) {
+				headers[key] = form_headers[key];
+			}
+		}
+		else if ((body !== null) && !body.pipe && (this.autoContentLength || (req.method != 'POST'))) {
+			// raw data (string or buffer), add content-Length
+			if (typeof(body) == 'string') body = Buffer.from(body, 'utf8');
+			headers['Content-Length'] = body.length;
+		}
+		
+		// credentials, as bearer token from auth provider, digest auth if we have a challenge to answer, otherwise basic auth (unless digest only)
+		var auth_header = null;
+		if (req.bearer && !findHeaderKey(headers, 'Authorization')) {
+			auth_header = 'Bearer ' + req.bearer;
+			auth = 'bearer';
+		}
+		else if (req.auth && !findHeaderKey(headers, 'Authorization')) {
+			auth_header = this.getDigestAuthorization( req.digestOrigin, req.auth, req.method, req.path, body, req.digestChallenge );
+			if (auth_header) {
+				auth = 'digest';
+			}
+			else if (!req.digestOnly) {
+				auth_header = 'Basic ' + Buffer.from(req.auth).toString('base64');
+				auth = 'basic';
+			}
+		}
+		
+		// copy headers, so credentials are not written into the caller's object
+		if (auth) options.headers = headers = { ...headers, 'Authorization': auth_header };
+		
+		if (req.idempotencyKey && !req.method.match(idempotentMethods) && !findHeaderKey(headers, 'Idempotency-Key')) {
+			// copy headers, so the key is not shared with other requests using the same options
+			options.headers = headers = { ...headers, 'Idempotency-Key': (typeof(req.idempotencyKey) == 'string') ? req.idempotencyKey : crypto.randomUUID() };
+		}
+		
+		var cookie_key = findHeaderKey( headers, 'Cookie' ) || 'Cookie';
+		var user_cookies = headers[cookie_key] || '';
+		if (req.cookieJar) {
+			var jar_cookies = req.cookieJar.getCookieString( req.url, { method: req.method, site: req.site } );
+			if (jar_cookies) {
+				// copy headers, so jar cookies are not appended to the caller's Cookie header
+				options.headers = headers = { ...headers };
+				headers[cookie_key] = user_cookies ? (user_cookies + '; ' + jar_cookies) : jar_cookies;
+			}
+		}
+		
+		return { body: body, form: form, auth: auth, cookieKey: cookie_key, userCookies: user_cookies };
+	}
+	
+	sendRequest(url, options, callback) {
+		// send request over the wire (single hop, no middleware)
+		// callback will receive: err, res, data, perf
+		var self = this;
 		var callback_fired = false;
 		var timer = null;
 		var connect_timer = null;
 		var upload_timer = null;
 		var socket = null;
 		var req = null;
-		var key;
 		var clearUploadMonitor = function() {};
 		var clearConnectTimer = function() {
 			if (connect_timer) { clearTimeout(connect_timer); connect_timer = null; }
 		};
+		var hedge_timer = null;
 		var clearTimers = function() {
 			if (timer) { clearTimeout(timer); timer = null; }
+			if (hedge_timer) { clearTimeout(hedge_timer); hedge_timer = null; }
 			clearConnectTimer();
 			clearUploadMonitor();
 		};
 		
-		// Apply default options
-		options = { ...this.defaultOptions, ...(options || {}) };
+		// optional hedged request, snapshot options before they are modified
+		var hedge = options.hedge || false;
+		delete options.hedge;
+		var hedge_race = options.hedgeRace || null;
+		var hedge_id = options.hedgeId || 1;
+		delete options.hedgeRace;
+		delete options.hedgeId;
+		var hedge_options = (hedge && !hedge_race) ? { ...options, headers: { ...options.headers }, hedge: hedge } : null;
+		
+		// optional tracing state for the logical request (see traceRequest)
+		var tracing = options.tracing || null;
+		delete options.tracing;
 		
 		// detect need for proxy agent on first request
 		if (!this.proxyAgent && userProxyEnv) {
@@ -492,19 +793,11 @@ class Request {
 		var old_perf = options.perf || null;
 		delete options.perf;
 		
-		// default headers
-		if (!options.headers) options.headers = {};
-		for (key in this.defaultHeaders) {
-			if (!(key in options.headers)) {
-				options.headers[key] = this.defaultHeaders[key];
-			}
-		}
+		// attempt number, incremented for each redirect and retry
+		var attempt = ((old_perf && old_perf.counters.requests) || 0) + 1;
 		
 		// allow URL to include headers e.g. [header: Cookie: foo=bar]
-		url = url.replace(/\s*\[header\:\s*([\w\-]+)\:\s*([^\]]+)\]/ig, function(m_all, m_g1, m_g2) {
-			options.headers[ m_g1 ] = m_g2;
-			return '';
-		}).trim();
+		url = extractUrlHeaders( url, options.headers );
 		
 		// parse url into parts
 		var parts = require('url').parse(url);
@@ -535,6 +828,13 @@ class Request {
 			}
 		}
 		
+		// fail fast if too many recent failures for origin (circuit breaker)
+		var circuit_origin = this.circuitBreaker ? (parts.protocol + '//' + parts.host) : null;
+		if (circuit_origin) {
+			var circuit_err = this.checkCircuit( circuit_origin );
+			if (circuit_err) return callback( circuit_err, null, null, old_perf );
+		}
+		
 		// optionally use auto agents
 		// if no agent is specified, use close connections
 		if (this.proxyAgent) {
@@ -563,30 +863,39 @@ class Request {
 			}
 		} // dns cache
 		
-		// prep post data
+		// prep post data (headers are added below)
 		var post_data = null;
-		var is_form = false;
-		
 		if (('data' in options) && (options.data !== null)) {
 			post_data = options.data;
 			delete options.data;
-			
-			// support FormData and raw data
-			if (post_data instanceof FormData) {
-				// allow form-data to populate headers (multipart boundary, etc.)
-				is_form = true;
-				var form_headers = post_data.getHeaders();
-				for (key in form_headers) {
-					options.headers[key] = form_headers[key];
-				}
-			}
-			else if (this.autoContentLength || (options.method != 'POST')) {
-				// raw data (string or buffer), add content-Length
-				if (typeof(post_data) == 'string') post_data = Buffer.from(post_data, 'utf8');
-				options.headers['Content-Length'] = post_data.length;
-			}
 		}
 		
+		// digest auth, answering the challenge from the previous hop, or pre-emptively with a cached nonce
+		var digest_creds = options.auth || null;
+		var digest_challenge = options.digestChallenge || null;
+		var digest_origin = parts.protocol + '//' + parts.host;
+		delete options.digestChallenge;
+		delete options.auth; // sent as header
+		
+		// bearer token from auth provider, only sent to the origin of the first hop
+		var bearer = options.bearer || null;
+		delete options.bearer;
+		if (bearer && !bearer.origin) bearer = { token: bearer.token, origin: digest_origin };
+		
+		var use_digest = this.digestAuth;
+		if ('digestAuth' in options) {
+			use_digest = options.digestAuth;
+			delete options.digestAuth;
+		}
+		
+		// optional request signer (applied just before sending, once all headers are in place)
+		var signer = this.signer;
+		if ('signer' in options) {
+			signer = options.signer;
+			delete options.signer;
+		}
+		var unsigned_headers = null;
+		
 		// handle socket timeouts
 		var aborted = false;
 		var timeout = this.defaultTimeout;
@@ -628,6 +937,24 @@ class Request {
 			retryDelayMax = options.retryDelayMax;
 			delete options.retryDelayMax;
 		}
+		var retry_policy = this.retryPolicy;
+		if ('retryPolicy' in options) {
+			retry_policy = options.retryPolicy;
+			delete options.retryPolicy;
+		}
+		if (retry_policy && (typeof(retry_policy) != 'function')) {
+			// policy object, e.g. RetryPolicy instance or options for one
+			if (!retry_policy.check) retry_policy = new RetryPolicy(retry_policy);
+			retry_policy = retry_policy.check.bind(retry_policy);
+		}
+		
+		// optionally use http/2 (not supported through proxies)
+		var use_http2 = this.http2;
+		if ('http2' in options) {
+			use_http2 = options.http2;
+			delete options.http2;
+		}
+		if (this.proxyAgent) use_http2 = false;
 		
 		// optional progress events
 		var progress = null;
@@ -666,10 +993,62 @@ class Request {
 			delete options.pre_download;
 		}
 		
+		// resume partial path downloads with a range request (set on retry)
+		var download_resume = options.downloadResume || null;
+		var download_validator = null;
+		var download_append = false;
+		delete options.downloadResume;
+		
+		if (download_resume && download_path && !findHeaderKey(options.headers, 'Range')) {
+			options.headers['Range'] = 'bytes=' + download_resume.offset + '-';
+			options.headers['If-Range'] = download_resume.validator;
+			download_validator = download_resume.validator;
+		}
+		else download_resume = null;
+		
 		// abort controller
 		var signal = options.signal || null;
 		delete options.signal;
 		
+		// optional idempotency key, generated once and reused on every retry (via headers)
+		var idempotency_key = this.idempotencyKey;
+		if ('idempotencyKey' in options) {
+			idempotency_key = options.idempotencyKey;
+			delete options.idempotencyKey;
+		}
+		var is_idempotent = !!(options.method || 'GET').match(idempotentMethods);
+		var request_sent = false;
+		
+		// optional cookie jar, replays matching cookies on every hop
+		var cookie_jar = this.cookieJar;
+		if ('cookieJar' in options) {
+			cookie_jar = options.cookieJar;
+			delete options.cookieJar;
+		}
+		var first_url = options.firstUrl || url;
+		delete options.firstUrl;
+		
+		// body, auth, idempotency key and cookie headers
+		var applied = this.applyRequestHeaders( options, {
+			url: url,
+			site: first_url,
+			method: (options.method || 'GET').toUpperCase(),
+			path: options.path,
+			body: post_data,
+			bearer: (bearer && (bearer.origin == digest_origin)) ? bearer.token : null,
+			auth: digest_creds,
+			digestOrigin: digest_origin,
+			digestChallenge: digest_challenge,
+			digestOnly: use_digest,
+			idempotencyKey: idempotency_key,
+			cookieJar: cookie_jar
+		} );
+		post_data = applied.body;
+		var is_form = applied.form;
+		var auth_sent = !!applied.auth;
+		var cookie_key = applied.cookieKey;
+		var user_cookies = applied.userCookies;
+		
 		var cleanupDownload = function(callback) {
 			// Close any unfinished download stream before we report errors or retry.
 			// This prevents leaked write streams and makes path downloads retry cleanly.
@@ -701,7 +1080,13 @@ class Request {
 
 			var wait_for_close = !stream.closed;
 			if (wait_for_close) stream.once('close', done);
-			if (stream.destroy) stream.destroy();
+			
+			// in-flight writes may still fail after this point, which is expected
+			stream.on('error', function() {});
+			
+			// flush received bytes for resumable downloads, otherwise discard them
+			if (download_validator && stream.end) stream.end();
+			else if (stream.destroy) stream.destroy();
 			else if (stream.end) stream.end();
 
 			if (!wait_for_close) done();
@@ -719,8 +1104,33 @@ class Request {
 			options.retries = nextRetries;
 			options.retryDelay = nextRetryDelay;
 			options.retryDelayMax = retryDelayMax;
+			options.retryPolicy = retry_policy;
+			options.hedge = hedge;
+			options.tracing = tracing;
 			options.progress = progress;
 			options.signal = signal;
+			options.http2 = use_http2;
+			options.cookieJar = cookie_jar;
+			options.firstUrl = first_url;
+			options.digestAuth = use_digest;
+			options.signer = signer;
+			options.bearer = bearer;
+			
+			// strip signature headers, as the next hop is signed again
+			if (unsigned_headers) options.headers = unsigned_headers;
+			
+			// strip our auth header, as the next hop needs a new one (or none)
+			if (auth_sent) delete options.headers['Authorization'];
+			
+			// strip jar cookies, as the next hop may be a different host
+			if (user_cookies) options.headers[cookie_key] = user_cookies;
+			else delete options.headers[cookie_key];
+			
+			// strip our range headers, the next hop decides whether to resume
+			if (download_resume) {
+				delete options.headers['Range'];
+				delete options.headers['If-Range'];
+			}
 
 			delete options.protocol;
 			delete options.hostname;
@@ -735,15 +1145,43 @@ class Request {
 			// Recurse after cleaning up the current attempt's download stream.
 			callback_fired = true; // prevent firing twice
 			cleanupDownload( function() {
-				setTimeout( function() { self.request( nextUrl, options, callback ); }, delay );
+				if ((nextUrl !== url) || !download_path || !download_validator) {
+					return setTimeout( function() { self.requestHop( nextUrl, options, callback ); }, delay );
+				}
+				
+				// resume from the bytes already on disk, if any
+				fs.stat( download_path, function(err, stats) {
+					if (!err && stats.size) options.downloadResume = { offset: stats.size, validator: download_validator };
+					setTimeout( function() { self.requestHop( nextUrl, options, callback ); }, delay );
+				} );
 			} );
 		};
 
+		var abortHedge = function() {
+			// another hedged attempt answered first, so abort this one quietly
+			if (aborted || callback_fired) return;
+			aborted = true;
+			callback_fired = true;
+			clearTimers();
+			if (req && !req.destroyed) req.destroy();
+			cleanupDownload();
+		};
+		
+		var dropHedge = function() {
+			// failed before response, so let the other hedged attempt finish if it is still running
+			// returns true if this attempt was dropped
+			if (!hedge_race) return false;
+			delete hedge_race.pending[hedge_id];
+			if (hedge_race.winner || !Object.keys(hedge_race.pending).length) return false;
+			callback_fired = true;
+			return true;
+		};
+		
 		var failRequest = function(err, res, data) {
 			// Report an error only after any active download stream is closed.
 			callback_fired = true;
 			cleanupDownload( function() {
-				callback( err, res || null, data || null, self.finishPerf(perf, old_perf) );
+				callback( err, res || null, data || null, self.finishPerf(perf, old_perf, err) );
 			} );
 		};
 
@@ -755,7 +1193,7 @@ class Request {
 			download_finished = false;
 			download_owned = true;
 
-			try { download = fs.createWriteStream(download_path); }
+			try { download = fs.createWriteStream(download_path, { flags: download_append ? 'a' : 'w' }); }
 			catch (err) {
 				clearTimers();
 				if (callback && !callback_fired) failRequest( err );
@@ -777,6 +1215,67 @@ class Request {
 			}
 		}
 		
+		var checkRetry = function(err, res) {
+			// decide whether to retry after an error or response, using retry policy if set
+			// returns true if a retry was scheduled
+			var delay = retryDelay;
+			var nextRetries = retries;
+			
+			// the server may have processed a non-idempotent request, so only retry with an idempotency key
+			if (request_sent && !is_idempotent && !findHeaderKey(options.headers, 'Idempotency-Key')) return false;
+			
+			var retryAfter = res ? parseRetryAfter( res.headers['retry-after'] ) : NaN;
+			
+			if (retry_policy) {
+				// policies are consulted for errors and error responses only
+				if (res && (res.statusCode < 400)) return false;
+				
+				var result = retry_policy({
+					url: url,
+					method: options.method || 'GET',
+					err: err,
+					resp: res,
+					attempt: ((old_perf && old_perf.counters.retries) || 0) + 1,
+					elapsed: perf.calcElapsed( (old_perf || perf).perf[perf.totalKey].start ),
+					delay: retryDelay,
+					retryAfter: isNaN(retryAfter) ? null : Math.max( 0, retryAfter )
+				});
+				if ((result !== true) && (typeof(result) != 'number')) return false;
+				if (typeof(result) == 'number') delay = Math.max( 0, result );
+				else if (!isNaN(retryAfter)) delay = Math.max( 0, retryAfter );
+			}
+			else {
+				if (!retries) return false;
+				if (res && !res.statusCode.toString().match(self.retryMatch)) return false;
+				
+				// if the server supplied a valid Retry-After header, use it for this retry
+				if (!isNaN(retryAfter)) delay = Math.max( 0, retryAfter );
+				if (typeof(retries) == 'number') nextRetries = retries - 1;
+			}
+			
+			// policies track their own delays, otherwise double it for next time
+			restoreOptions( follow, nextRetries, (retry_policy && (typeof(result) == 'number')) ? delay : Math.min( delay * 2, retryDelayMax ) );
+			
+			perf.count('retries', 1);
+			options.perf = self.finishPerf(perf, old_perf, err);
+			
+			var info = { url: url, attempt: attempt, delay: delay, retryAfter: isNaN(retryAfter) ? null : Math.max( 0, retryAfter ), perf: perf };
+			if (err) info.err = err;
+			if (res) info.resp = res;
+			self.emitEvent('retry', info);
+			
+			if (res) {
+				// allow original request to finish
+				res.on('data', function () {} );
+				res.on('end', function() {} );
+			}
+			
+			// recurse into self for retry
+			clearTimers();
+			retryRequest( url, delay );
+			return true;
+		};
+		
 		// handle timeouts
 		var receivedPacket = false;
 		var handleTimeout = function(msg, ms) {
@@ -790,24 +1289,17 @@ class Request {
 				clearTimers();
 				aborted = true;
 				req.destroy();
+				if (circuit_origin) self.recordCircuit( circuit_origin, false );
 				if (callback && !callback_fired) {
+					var err = new Error(msg + " (" + ms + " ms)");
+					err.code = 'ETIMEDOUT';
+					self.emitEvent('timeout', { url: url, attempt: attempt, err: err, perf: perf });
+					
 					// check for retry
-					if (retries) {
-						restoreOptions(
-							follow,
-							(typeof(retries) == 'number') ? (retries - 1) : retries,
-							Math.min( retryDelay * 2, retryDelayMax )
-						);
-						
-						perf.count('retries', 1);
-						options.perf = self.finishPerf(perf, old_perf);
-						
-						// recurse into self for retry
-						retryRequest( url, retryDelay );
-						return;
-					}
+					if (dropHedge()) return;
+					if (checkRetry( err, null )) return;
 					
-					failRequest( new Error(msg + " (" + ms + " ms)") );
+					failRequest( err );
 				}
 			}
 		}; // timeout
@@ -823,24 +1315,17 @@ class Request {
 					msg = ucfirst(ErrNo.code[e.errno].description) + " (" + e.message + ")";
 				}
 				clearTimers();
+				if (circuit_origin) self.recordCircuit( circuit_origin, false );
 				if (!callback_fired) {
+					// preserve code so retry policies can tell transient errors from permanent ones
+					var err = new Error(msg);
+					if (e.code) err.code = e.code;
+					
 					// check for retry
-					if (retries) {
-						restoreOptions(
-							follow,
-							(typeof(retries) == 'number') ? (retries - 1) : retries,
-							Math.min( retryDelay * 2, retryDelayMax )
-						);
-						
-						perf.count('retries', 1);
-						options.perf = self.finishPerf(perf, old_perf);
-						
-						// recurse into self for retry
-						retryRequest( url, retryDelay );
-						return;
-					}
+					if (dropHedge()) return;
+					if (checkRetry( err, null )) return;
 					
-					failRequest( new Error(msg) );
+					failRequest( err );
 				}
 			}
 		}; // handleSocketError
@@ -888,19 +1373,84 @@ class Request {
 			}
 		}; // handleIPError
 		
+		if (tracing) self.traceStart( tracing, url, options, perf, attempt );
+		
+		// sign request, now that the body and headers are final (including cookies, idempotency key, range and trace context)
+		if (signer) {
+			// sign a copy of the headers, so signatures are not written into the caller's object
+			unsigned_headers = options.headers;
+			options.headers = { ...unsigned_headers };
+			try { self.signRequest( signer, url, options, post_data ); }
+			catch (err) { return failRequest( err ); }
+		}
+		
+		self.emitEvent('request', { url: url, attempt: attempt, options: options, data: post_data, perf: perf });
+		if (self.har) self.harStart( url, options, post_data, perf );
+		
 		// construct request object
 		var proto_class = (parts.protocol == 'https:') ? https : http;
-		req = proto_class.request( options, function(res) {
+		var requestFunc = use_http2 ? this.http2Request.bind(this) : proto_class.request;
+		req = requestFunc( options, function(res) {
 			// got response headers
 			res.on('error', handleSocketError);
 			if (req.destroyed) return;
 			
+			if (hedge) self.recordHedgeSample( parts.host, perf.calcElapsed(perf.perf.total.start) );
+			
+			if (hedge_race) {
+				// first hedged attempt to respond wins, the other is aborted
+				if (hedge_race.winner && (hedge_race.winner != hedge_id)) return abortHedge();
+				hedge_race.winner = hedge_id;
+				for (var id in hedge_race.aborts) {
+					if (id != hedge_id) hedge_race.aborts[id]();
+				}
+				if (hedge_race.hedged) {
+					perf.count('hedge_sent', 1);
+					if (hedge_id == 2) perf.count('hedge_won', 1);
+				}
+			}
+			
 			perf.end('wait', perf.perf.total.start);
+			self.emitEvent('response', { url: url, attempt: attempt, resp: res, perf: perf });
+			if (self.har) self.harResponse( perf, req, res );
+			if (tracing) self.traceResponse( perf, res );
+			
+			// retryable status codes count as failures for the circuit breaker
+			if (circuit_origin) self.recordCircuit( circuit_origin, !res.statusCode.toString().match(self.retryMatch) );
+			
+			// server asked us to back off, so pause all requests to the host
+			if (self.hostCooldown && res.statusCode.toString().match(/^(429|503)$/)) {
+				self.startCooldown( parts.host, parseRetryAfter(res.headers['retry-after']) );
+			}
+			
+			// capture cookies from every hop, including redirects
+			if (cookie_jar && res.headers['set-cookie']) cookie_jar.setCookies( res.headers['set-cookie'], url );
 			
 			// clear initial timeout (first byte received)
 			clearTimers();
 			if (idleTimeout) timer = setTimeout( function() { handleTimeout('Idle Timeout', idleTimeout); }, idleTimeout );
 			
+			// answer digest challenge by re-sending request, unless our answer was rejected (streamed bodies cannot be re-sent)
+			if ((res.statusCode == 401) && digest_creds && !is_form && !(post_data && post_data.pipe)) {
+				var challenge = self.getDigestChallenge( digest_origin, res );
+				if (challenge && (!digest_challenge || (challenge.stale && (challenge.nonce != digest_challenge.nonce)))) {
+					restoreOptions( follow, retries, retryDelay );
+					options.auth = digest_creds;
+					options.digestChallenge = challenge;
+					
+					perf.count('digest_challenges', 1);
+					options.perf = self.finishPerf(perf, old_perf);
+					
+					// allow original request to finish
+					res.on('data', function () {} );
+					res.on('end', function() {} );
+					
+					clearTimers();
+					retryRequest( url, 0 );
+					return;
+				}
+			}
+			
 			// check for auto-redirect
 			if (follow && res.statusCode.toString().match(self.followMatch) && res.headers['location']) {
 				restoreOptions(
@@ -911,6 +1461,7 @@ class Request {
 				
 				perf.count('redirects', 1);
 				options.perf = self.finishPerf(perf, old_perf);
+				self.emitEvent('redirect', { url: url, attempt: attempt, location: res.headers['location'], resp: res, perf: perf });
 				
 				// allow original request to finish
 				res.on('data', function () {} );
@@ -923,33 +1474,35 @@ class Request {
 			}
 			
 			// check for retry
-			if (retries && res.statusCode.toString().match(self.retryMatch)) {
-				// if the server supplied a valid Retry-After header, use it for this retry
-				var retryAfter = res.headers['retry-after'];
-				if (retryAfter) {
-					retryAfter = retryAfter.toString().trim();
-					var retryAfterDelay = retryAfter.match(/^\d+$/) ?
-						(parseInt(retryAfter, 10) * 1000) : (Date.parse(retryAfter) - Date.now());
-					if (!isNaN(retryAfterDelay)) retryDelay = Math.max( 0, retryAfterDelay );
-				}
-				
-				restoreOptions(
-					follow,
-					(typeof(retries) == 'number') ? (retries - 1) : retries,
-					Math.min( retryDelay * 2, retryDelayMax )
-				);
-				
-				perf.count('retries', 1);
-				options.perf = self.finishPerf(perf, old_perf);
-				
-				// allow original request to finish
-				res.on('data', function () {} );
-				res.on('end', function() {} );
+			if (checkRetry( null, res )) return;
+			
+			if (download_path && download_resume) {
+				// only append to the file if the server honored our range request
+				var range_match = (res.statusCode == 206) && (res.headers['content-range'] || '').toString().match(/^bytes\s+(\d+)\-/);
+				download_append = !!range_match && (parseInt(range_match[1], 10) == download_resume.offset);
 				
-				// recurse into self for retry
-				clearTimers();
-				retryRequest( url, retryDelay );
-				return;
+				if (!download_append && ((res.statusCode == 206) || (res.statusCode == 416))) {
+					// unusable range response, fall back to a full download
+					restoreOptions( follow, retries, retryDelay );
+					options.perf = self.finishPerf(perf, old_perf);
+					
+					res.on('data', function () {} );
+					res.on('end', function() {} );
+					
+					clearTimers();
+					download_validator = null;
+					retryRequest( url, 0 );
+					return;
+				}
+			}
+			if (download_path && (res.statusCode == 200)) {
+				// remember strong validator, so a failed transfer can be resumed (identity encoding only)
+				download_validator = null;
+				if (!res.headers['content-encoding']) {
+					var etag = res.headers['etag'];
+					if (etag && !etag.match(/^W\//)) download_validator = etag;
+					else if (res.headers['last-modified']) download_validator = res.headers['last-modified'];
+				}
 			}
 			
 			// user might want non-success response codes to be considered errors
@@ -970,7 +1523,7 @@ class Request {
 					failRequest( new Error("Request Aborted"), res );
 				};
 				signal.addEventListener('abort', aborter, { once: true });
-				if (signal.aborted) aborter();
+				if (signal.aborted) { aborter(); return; }
 			}
 			
 			if (download_target) {
@@ -979,6 +1532,7 @@ class Request {
 					// reset dead man's switch for idle timeout
 					receivedPacket = true;
 					if (progress) progress(chunk, res);
+					self.emitEvent('progress', { url: url, attempt: attempt, chunk: chunk, resp: res, perf: perf });
 				} );
 				
 				download_finish_handler = function() {
@@ -1067,13 +1621,15 @@ class Request {
 					total_bytes += chunk.length;
 					receivedPacket = true;
 					if (progress) progress(chunk, res);
+					self.emitEvent('progress', { url: url, attempt: attempt, chunk: chunk, resp: res, perf: perf });
 				} );
 				
 				res.on('end', function() {
 					// end of response
 					clearTimers();
 					perf.end('receive', perf.perf.total.start);
-					if (socket) {
+					if (socket && !use_http2) {
+						// http/2 sessions share one socket between streams, so bytes cannot be counted per request
 						perf.count('bytes_sent', (socket.bytesWritten || 0) - (socket._pixl_orig_bytes_written || 0));
 						perf.count('bytes_received', (socket.bytesRead || 0) - (socket._pixl_orig_bytes_read || 0));
 						socket._pixl_orig_bytes_written = socket.bytesWritten || 0;
@@ -1083,6 +1639,7 @@ class Request {
 					// prepare data
 					if (total_bytes) {
 						var buf = Buffer.concat(chunks, total_bytes);
+						if (signer && signer.verifyResponses) encoded_bodies.set( res, buf );
 						
 						// check for encoding
 						if (self.autoDecompress && res.headers['content-encoding'] && res.headers['content-encoding'].match(/\bbr\b/i) && hasBrotli && callback) {
@@ -1138,10 +1695,15 @@ class Request {
 		req.on('socket', function(sock) {
 			// hook some socket events once we have a reference to it
 			socket = sock;
+			self.emitEvent('socket', { url: url, attempt: attempt, socket: sock, perf: perf });
 			
 			// socket may already be connected if reusing keep-alive
 			if (!socket.connecting) clearConnectTimer();
 			
+			// once connected, request data may have reached the server
+			if (!socket.connecting) request_sent = true;
+			else socket.once('connect', function() { request_sent = true; } );
+			
 			if (!socket._pixl_request_hooked) {
 				socket._pixl_request_hooked = true;
 				
@@ -1151,6 +1713,7 @@ class Request {
 				socket.once('lookup', function(err, address, family, hostname) {
 					// track DNS lookup time
 					perf.end('dns', perf.perf.total.start);
+					self.emitEvent('dns', { url: url, attempt: attempt, err: err || null, address: address, family: family, hostname: hostname, perf: perf });
 					
 					// whitelist/blacklist checks here
 					if (self.whitelist && !self.whitelist.check(address)) {
@@ -1173,6 +1736,7 @@ class Request {
 					// track socket connect time
 					clearConnectTimer();
 					perf.end('connect', perf.perf.total.start);
+					self.emitEvent('connect', { url: url, attempt: attempt, perf: perf });
 				} );
 				
 				// JH 2024-07-03 we should not need an error listener on the socket
@@ -1199,6 +1763,26 @@ class Request {
 			connect_timer = setTimeout( function() { handleTimeout('Connect Timeout', connectTimeout); }, connectTimeout );
 		}
 		
+		// send a second copy of the request if no response arrives in time (idempotent only)
+		var hedge_delay = hedge_options ? this.getHedgeDelay( hedge, parts.host ) : null;
+		if ((hedge_delay !== null) && is_idempotent && !is_form && !(post_data && post_data.pipe) && (!download_target || (typeof(download_target) == 'string'))) {
+			hedge_race = { winner: 0, hedged: false, pending: { 1: true }, aborts: {} };
+			
+			hedge_timer = setTimeout( function() {
+				hedge_timer = null;
+				if (hedge_race.winner) return;
+				hedge_race.hedged = true;
+				hedge_race.pending[2] = true;
+				
+				self.sendRequest( url, { ...hedge_options, headers: { ...hedge_options.headers }, hedgeRace: hedge_race, hedgeId: 2 }, function(err, res, data, perf) {
+					// hedge may fail before it is sent (e.g. circuit breaker), in which case the original continues
+					if (!hedge_race.winner && hedge_race.pending[1]) { delete hedge_race.pending[2]; return; }
+					callback( err, res, data, perf );
+				} );
+			}, hedge_delay );
+		}
+		if (hedge_race) hedge_race.aborts[hedge_id] = abortHedge;
+		
 		if (post_data !== null) {
 			// write post data to socket
 			if (is_form) {
@@ -1215,7 +1799,7 @@ class Request {
 		else req.end();
 	}
 	
-	finishPerf(perf, old_perf) {
+	finishPerf(perf, old_perf, err) {
 		// finalize perf, adjust metrics and total
 		// order: dns, connect, send, wait, receive, decompress
 		var p = perf.perf;
@@ -1230,6 +1814,10 @@ class Request {
 			if (p[key].elapsed) p[key].elapsed = Math.max(0, p[key].elapsed);
 		}
 		
+		// record timings for this hop alone, before previous hops are imported
+		if (this.har) this.harFinish( perf, err );
+		if (this.tracer) this.traceFinish( perf, err );
+		
 		if (old_perf) {
 			// import perf from previous retry/redirect
 			if (old_perf.perf && old_perf.perf[perf.totalKey]) {
@@ -1266,3 +1854,10 @@ function ucfirst(text) {
 	// capitalize first character only, lower-case rest
 	return text.substring(0, 1).toUpperCase() + text.substring(1, text.length).toLowerCase();
 };
+
+function parseRetryAfter(value) {
+	// parse Retry-After header (seconds or HTTP date) into ms from now, or NaN if invalid
+	if (!value) return NaN;
+	value = value.toString().trim();
+	return value.match(/^\d+$/) ? (parseInt(value, 10) * 1000) : (Date.parse(value) - Date.now());
+};